@@ -19,10 +19,11 @@ await esbuild.build({
   },
 });
 
-// The content script is an IIFE for now, but doesn't really have to be.
+// The content scripts are IIFEs for now, but don't really have to be.
 await esbuild.build({
   entryPoints: {
     inject: './src/index-inject.js',
+    searchfox: './src/index-searchfox.js',
   },
   format: "iife",
   platform: "browser",
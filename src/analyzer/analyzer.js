@@ -1,10 +1,12 @@
-import { parse } from 'iarna-toml-esm';
+import { parse } from 'smol-toml';
 import bounds from 'binary-search-bounds';
 
 import { grokPML, grokPMLRows, grokStructured } from '../pmlgrok/grokker.js';
 
 import { HierNode, HierBuilder } from './diagramming/core_diagram.js';
 import { cmpMoment } from '../pmlgrok/utils.js';
+import { DEFAULT_RANGE_QUERY_ALL_MAX_ROWS } from '../bridge/protocol.js';
+import { resolveBatchRefs } from '../bridge/batch_refs.js';
 
 
 function shortSymbolName(name) {
@@ -554,7 +556,8 @@ class Analyzer {
         mixArgs: {
           params: {}
         },
-      });
+      },
+      { priority: 'bulk' });
 
     return grokStructured(rows, name);
   }
@@ -565,7 +568,14 @@ class Analyzer {
     this.threadMap = blackboard.threadMap;
   }
 
-  async _doTrace(traceDef, pass = 'initial', queryParams) {
+  /**
+   * Trace `traceDef`, using `queryParams` if provided instead of the default
+   * "execution" query.  If `queryParams` references the result of another
+   * `{ type, payload }` query via `{ $ref: 0 }` (see `batch_refs.js`), that
+   * query is passed as `dependsOn` and the references are resolved from its
+   * result before we issue our query so that our results can be cached.
+   */
+  async _doTrace(traceDef, pass = 'initial', queryParams, dependsOn = null) {
     const { symName, classInfo } = traceDef;
 
     let stateDefs = traceDef.stateDefs ? traceDef.stateDefs.concat() : null;
@@ -676,10 +686,28 @@ class Analyzer {
       [pass]: queryParams,
     };
 
+    // The analyzer can generate a lot of queries, so let anything the user is
+    // interactively waiting on go first.
+    const priority = 'bulk';
+    if (dependsOn) {
+      const dependencyResult = await this.client.sendMessageAwaitingReply(
+        dependsOn.type, dependsOn.payload, { priority });
+      try {
+        queryParams = resolveBatchRefs(queryParams, () => dependencyResult);
+      } catch (ex) {
+        // The result didn't have what we needed, so there's nothing to trace.
+        console.warn('Unable to trace', symName, 'for pass', pass, ex);
+        return queryParamsUsed;
+      }
+      queryParamsUsed[pass] = queryParams;
+    }
+
     // This will be an array of items of the form { items: [ { focus, pml }]}
-    const rawResults = await this.client.sendMessageAwaitingReply(
-      'rangeQuery',
-      queryParams
+    // covering the entire trace (up to the cap); the query's limit is just the
+    // page size.
+    const rawResults = await this.client.rangeQueryAll(
+      queryParams,
+      { maxRows: DEFAULT_RANGE_QUERY_ALL_MAX_ROWS, priority }
     );
 
     const execs = [];
@@ -771,8 +799,8 @@ class Analyzer {
             const useFocus = execs[0].call.meta.focusInfo;
             const useSourceUrl = execs[0].call.meta?.source?.url;
 
-            // ## Get the annotations!
-            // Results look like:
+            // ## Get the annotations and do the breakpoint query
+            // Annotation results look like:
             // - glyphMarginDecorations: {}
             //   - points: Array of 4-tuples:
             //     0. { l: [line, column] } designed to be translated by
@@ -783,56 +811,37 @@ class Analyzer {
             //        should instead be populated from this focus's frame.
             //     3. 0.  ("titleIndex" which is some kind of weird lookup
             //        magic that my experimentation doesn't trigger.)
-            let annoResults = await this.client.sendMessageAwaitingReply(
-              'simpleQuery',
+            // The `lastAnnotatedLine` extractor picks the last line out of
+            // those for us.
+            const nestedQueryParamsUsed = await this._doTrace(
+              traceDef,
+              'last-line',
               {
-                name: 'dynamicAnnotations',
+                name: 'breakpoint',
+                limit: 250,
                 mixArgs: {
-                  // Use the entry moment's focus.
-                  focus: useFocus,
-                  // We should have the source from the call here.
-                  source: useSourceUrl,
-                }
-              }
-            );
-            // There should only be a single value in the array.
-            annoResults = annoResults[0];
-
-            let lastLine = 0;
-            let linePos = null;
-            let lineFocus = null;
-            if (annoResults?.glyphMarginDecoration?.points) {
-              for (const point of annoResults.glyphMarginDecoration.points) {
-                const line = point[0].l[0];
-                if (line >= lastLine) {
-                  lastLine = line;
-                  linePos = point[0];
-                  lineFocus = point[2];
-                  lineFocus.frame = useFocus.frame;
-                }
-              }
-            }
-
-            // ## Do the breakpoint query
-            if (lineFocus) {
-              const nestedQueryParamsUsed = await this._doTrace(
-                traceDef,
-                'last-line',
-                {
-                  name: 'breakpoint',
-                  limit: 250,
-                  mixArgs: {
-                    params: {
-                      url: useSourceUrl,
-                      // pernosco wants `o` and `o8` offset values; these get
-                      // fixed up on the other side automatically based on this
-                      // shape (params.url, params.points).
-                      points: [{ l: linePos.l[0], c: linePos.l[1] }],
-                    },
+                  params: {
+                    url: useSourceUrl,
+                    // pernosco wants `o` and `o8` offset values; these get
+                    // fixed up on the other side automatically based on this
+                    // shape (params.url, params.points).
+                    points: [{ $ref: 0, extractor: 'lastAnnotatedLine' }],
                   },
-                });
-                Object.assign(queryParamsUsed, nestedQueryParamsUsed);
-              }
+                },
+              },
+              {
+                type: 'simpleQuery',
+                payload: {
+                  name: 'dynamicAnnotations',
+                  mixArgs: {
+                    // Use the entry moment's focus.
+                    focus: useFocus,
+                    // We should have the source from the call here.
+                    source: useSourceUrl,
+                  }
+                },
+              });
+            Object.assign(queryParamsUsed, nestedQueryParamsUsed);
           }
         } else {
           const classResults = this._getOrCreateClassResults(traceDef.classInfo);
@@ -900,8 +909,9 @@ class Analyzer {
           const instList = getInstanceListForPtr(thisPuidPtr);
 
           // This is inherently the right sequential ordering MODULO the fact
-          // that we use limits in our query request;s so we could be only
-          // capturing a limited subset of the entire space.
+          // that `rangeQueryAll` caps how many results it will retrieve, so if
+          // the cap was hit we could be only capturing a limited subset of the
+          // entire space.
           const inst = {
             // Create a per-semType object id by using the list index.  That is,
             // this identifier is only unique for a given semType; the
@@ -1788,16 +1798,29 @@ class Analyzer {
   }
 }
 
-export async function loadAnalyzer(paths) {
+async function fetchConfigText(path) {
+  const resp = await fetch(path);
+  if (resp.status !== 200) {
+    console.error('Problem fetching', path, 'got', resp);
+    return null;
+  }
+  return resp.text();
+}
+
+/**
+ * Load the TOML analyzer configs at the given paths.  By default they're
+ * fetched relative to the page, but outside the extension (ex: under node) a
+ * `fetchText(path)` that returns the contents (or null to skip the file) can
+ * be provided instead.
+ */
+export async function loadAnalyzer(paths, { fetchText = fetchConfigText } = {}) {
   const configs = [];
 
   for (const path of paths) {
-    const resp = await fetch(path);
-    if (resp.status !== 200) {
-      console.error('Problem fetching', path, 'got', resp);
+    const respText = await fetchText(path);
+    if (respText === null) {
       continue;
     }
-    const respText = await resp.text();
     const config = new AnalyzerConfig(respText, path);
 
     configs.push(config);
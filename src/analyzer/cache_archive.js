@@ -0,0 +1,91 @@
+/**
+ * Export and import of a trace's `IDBCacheHelper` records as gzipped JSON files
+ * so that the results of expensive queries against a shared trace can be
+ * shared along with it.  Whoever imports the file gets warm-cache results when
+ * they open the same trace.
+ *
+ * Archives look like:
+ * { format, version, traceName, exportedAt, records: [{ key, record }] }
+ * where keys are full [traceName, type, name, namingKey] cache keys.
+ */
+
+export const CACHE_ARCHIVE_FORMAT = 'mozsearch-bridge-cache';
+export const CACHE_ARCHIVE_VERSION = 1;
+
+// The first bytes of every gzip stream.
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+export async function exportCacheArchive(cacheHelper, traceName) {
+  return {
+    format: CACHE_ARCHIVE_FORMAT,
+    version: CACHE_ARCHIVE_VERSION,
+    traceName,
+    exportedAt: Date.now(),
+    records: await cacheHelper.exportTrace(traceName),
+  };
+}
+
+/**
+ * Validate a parsed archive, throwing if it's not something we can use.
+ */
+export function checkCacheArchive(archive) {
+  if (archive?.format !== CACHE_ARCHIVE_FORMAT) {
+    throw new Error('Not a mozsearch-bridge cache export');
+  }
+  if (archive.version !== CACHE_ARCHIVE_VERSION) {
+    throw new Error(`Unsupported cache export version: ${archive.version}`);
+  }
+  // Make sure a malformed archive can't write records outside its trace.
+  for (const { key, record } of archive.records) {
+    if (!Array.isArray(key) || key[0] !== archive.traceName ||
+        !Array.isArray(record?.results)) {
+      throw new Error(`Malformed cache export record: ${JSON.stringify(key)}`);
+    }
+  }
+  return archive;
+}
+
+/**
+ * Import an archive into the cache, returning the counts from
+ * `IDBCacheHelper.importRecords`.
+ */
+export async function importCacheArchive(cacheHelper, archive, { conflict } = {}) {
+  checkCacheArchive(archive);
+  return cacheHelper.importRecords(archive.records, { conflict });
+}
+
+/**
+ * Trigger a download of the gzipped archive from a page context.
+ */
+export async function downloadCacheArchive(archive, filename) {
+  const jsonBlob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+  const gzipped = jsonBlob.stream().pipeThrough(new CompressionStream('gzip'));
+  const blob = await new Response(gzipped, {
+    headers: { 'Content-Type': 'application/gzip' },
+  }).blob();
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename ||
+    `${archive.traceName || 'trace'}-cache-${new Date(archive.exportedAt).toISOString()}.json.gz`;
+  anchor.click();
+  // The click is processed synchronously enough that we can revoke on the
+  // next turn of the event loop.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Read and validate an archive from a `File` (or other `Blob`), which may be
+ * gzipped or plain JSON (ex: if someone decompressed it to look inside).
+ */
+export async function readCacheArchive(file) {
+  const header = new Uint8Array(await file.slice(0, GZIP_MAGIC.length).arrayBuffer());
+  let text;
+  if (GZIP_MAGIC.every((byte, i) => header[i] === byte)) {
+    const decompressed = file.stream().pipeThrough(new DecompressionStream('gzip'));
+    text = await new Response(decompressed).text();
+  } else {
+    text = await file.text();
+  }
+  return checkCacheArchive(JSON.parse(text));
+}
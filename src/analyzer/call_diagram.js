@@ -0,0 +1,221 @@
+/**
+ * Build caller/callee call graphs for a symbol out of pernosco queries, for the
+ * searchfox "Uses diagram" and "Calls diagram" context menus.
+ *
+ * We start from the executions of the symbol and then, for a sample of them:
+ * - callers: Run a "stack" query focused on the execution; the frame after the
+ *   execution's own frame is its caller.
+ * - callees: Run a "callees" query focused on the execution, which we assume
+ *   is what backs pernosco's "Callees" view and produces the same function
+ *   items as an "execution" query.  We haven't been able to verify this, so we
+ *   try it on a single execution first and fail the diagram if it doesn't
+ *   work rather than presenting an empty diagram.
+ *
+ * The graph is rendered to graphviz dot via `HierBuilder`, with functions
+ * clustered by their namespaces/classes.
+ */
+
+import { HierNode, HierBuilder } from './diagramming/core_diagram.js';
+import { grokPML, grokPMLRows } from '../pmlgrok/grokker.js';
+
+// How many executions we'll look at; every sampled execution costs a query.
+const MAX_SAMPLED_EXECUTIONS = 40;
+// How many executions we'll retrieve to sample from.
+const MAX_EXECUTION_ROWS = 1000;
+
+/**
+ * Extract the grokked function calls from "execution"-style result rows.
+ */
+function grokCalls(rows, mode) {
+  const calls = [];
+  for (const row of rows) {
+    for (const item of (row.items || [])) {
+      if (!item.pml) {
+        continue;
+      }
+      const grokked = grokPML(item.pml, mode, item.focus);
+      // Print expressions wrap the call.
+      const call = grokked?.queried || grokked;
+      if (call?.func?.name && call.meta?.focusInfo) {
+        calls.push(call);
+      }
+    }
+  }
+  return calls;
+}
+
+/**
+ * Pick up to `count` evenly spaced items from `list`.
+ */
+function sampleEvenly(list, count) {
+  if (list.length <= count) {
+    return list;
+  }
+  const step = list.length / count;
+  const sampled = [];
+  for (let i = 0; i < count; i++) {
+    sampled.push(list[Math.floor(i * step)]);
+  }
+  return sampled;
+}
+
+export class CallDiagram {
+  /**
+   * `direction` is one of "callers" or "callees".
+   */
+  constructor({ symbol, direction }) {
+    this.symbol = symbol;
+    this.direction = direction;
+    this.executionCount = 0;
+    this.sampledCount = 0;
+    // How many sampled executions we failed to get results for, and the last
+    // such error.
+    this.failedCount = 0;
+    this.lastError = null;
+    // Map from `${from}\n${to}` to { from, to, count } where from/to are
+    // function names.
+    this.edges = new Map();
+  }
+
+  addEdge(from, to) {
+    const key = `${from}\n${to}`;
+    let edge = this.edges.get(key);
+    if (!edge) {
+      edge = { from, to, count: 0 };
+      this.edges.set(key, edge);
+    }
+    edge.count++;
+  }
+
+  sortedEdges() {
+    return Array.from(this.edges.values()).sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Run the queries to populate our edges.  `onProgress(diagram)` is invoked
+   * as results come in.
+   */
+  async populate(client, { signal, onProgress } = {}) {
+    const rows = await client.rangeQueryAll(
+      {
+        name: 'execution',
+        limit: 250,
+        mixArgs: {
+          params: {
+            symbol: this.symbol,
+          },
+        },
+      },
+      { maxRows: MAX_EXECUTION_ROWS, signal });
+    const executions = grokCalls(rows, 'execution');
+    this.executionCount = executions.length;
+
+    let sampled = sampleEvenly(executions, MAX_SAMPLED_EXECUTIONS);
+    if (this.direction === 'callees' && sampled.length) {
+      try {
+        await this._addCalleesOf(client, sampled[0], signal);
+      } catch (ex) {
+        if (signal?.aborted) {
+          throw ex;
+        }
+        throw new Error(
+          `Pernosco didn't accept the "callees" query needed for callee diagrams: ${ex.message}`,
+          { cause: ex });
+      }
+      this.sampledCount++;
+      onProgress?.(this);
+      sampled = sampled.slice(1);
+    }
+
+    // The client's scheduler keeps this from flooding pernosco.
+    await Promise.all(sampled.map(async (call) => {
+      try {
+        if (this.direction === 'callers') {
+          await this._addCallerOf(client, call, signal);
+        } else {
+          await this._addCalleesOf(client, call, signal);
+        }
+      } catch (ex) {
+        if (signal?.aborted) {
+          throw ex;
+        }
+        // A single weird execution shouldn't cost us the whole diagram, but
+        // the user should know the diagram is missing some.
+        console.warn("Problem getting", this.direction, "of", call, ex);
+        this.failedCount++;
+        this.lastError = ex;
+      }
+      this.sampledCount++;
+      onProgress?.(this);
+    }));
+  }
+
+  async _addCallerOf(client, call, signal) {
+    const rows = await client.sendMessageAwaitingReply(
+      'simpleQuery',
+      {
+        name: 'stack',
+        mixArgs: {
+          focus: call.meta.focusInfo,
+          params: {},
+        },
+      },
+      { signal });
+    const frames = grokPMLRows(rows, 'stack');
+    // Frame 0 is the execution itself.
+    const caller = frames[1]?.func?.name;
+    if (caller) {
+      this.addEdge(caller, call.func.name);
+    }
+  }
+
+  async _addCalleesOf(client, call, signal) {
+    const rows = await client.sendMessageAwaitingReply(
+      'simpleQuery',
+      {
+        name: 'callees',
+        mixArgs: {
+          focus: call.meta.focusInfo,
+          params: {},
+        },
+      },
+      { signal });
+    // The same callee may be called many times by a single execution, but
+    // we're interested in how many executions call it.
+    const callees = new Set(grokCalls(rows, 'execution').map(callee => callee.func.name));
+    for (const callee of callees) {
+      this.addEdge(call.func.name, callee);
+    }
+  }
+
+  renderToDot() {
+    const builder = new HierBuilder({ layoutDir: 'LR' });
+    const nodesByName = new Map();
+    const getNode = (name) => {
+      let node = nodesByName.get(name);
+      if (!node) {
+        node = builder.root;
+        for (const part of name.split('::')) {
+          node = node.getOrCreateKid(part, part);
+        }
+        nodesByName.set(name, node);
+      }
+      return node;
+    };
+
+    for (const { from, to } of this.edges.values()) {
+      const fromNode = getNode(from);
+      const toNode = getNode(to);
+      const ancestorNode = HierNode.findCommonAncestor(fromNode, toNode);
+      if (ancestorNode) {
+        ancestorNode.edges.push({ from: fromNode, to: toNode });
+        for (let node = ancestorNode; node; node = node.parent) {
+          node.descendantEdgeCount++;
+        }
+      }
+    }
+
+    builder.determineNodeActions();
+    return builder.renderToDot();
+  }
+}
@@ -277,7 +277,7 @@ export class HierBuilder {
   determineNodeActions() {
     this.idCounter = 1;
     this._determineNodeAction(this.root, false, null);
-    if (window.DEBUG_DIAGRAM) {
+    if (globalThis.DEBUG_DIAGRAM) {
       console.log('root node of graph post-determine:', this.root);
     }
   }
@@ -1,12 +1,305 @@
 import { openDB } from 'idb';
-import { cmpMoment, extractFocusMoment, inMomentRange } from '../pmlgrok/utils';
+import { cmpMoment, extractFocusMoment } from '../pmlgrok/utils.js';
+
+// Default size budgets, in (approximate) bytes of JSON-serialized results.
+export const DEFAULT_MAX_TRACE_BYTES = 64 * 1024 * 1024;
+export const DEFAULT_MAX_TOTAL_BYTES = 256 * 1024 * 1024;
+// How many results we'll keep for a single key.  Only rangeQuery results that
+// hit their limit can accumulate multiple results.
+export const DEFAULT_MAX_RESULTS_PER_KEY = 8;
+// Checking the budgets walks every key in the size index, which we don't want
+// to do after every store, so we only check after this many bytes have been
+// stored since the last check.
+const EVICTION_CHECK_BYTES = 1024 * 1024;
+// If `navigator.storage.estimate()` says our origin is using more than this
+// fraction of its quota, we evict enough to get back under it regardless of
+// our configured budgets.
+const STORAGE_PRESSURE_RATIO = 0.8;
+
+// Approximate the storage cost of a value by the length of its JSON.  This is
+// only used for budgeting so it doesn't need to be exact.
+function approximateSize(value) {
+  try {
+    return JSON.stringify(value)?.length || 0;
+  } catch (ex) {
+    return 0;
+  }
+}
+
+// Records stored before we started tracking sizes lack them; compute them on
+// demand.
+function recordSize(record) {
+  if (record.size === undefined) {
+    record.size = 0;
+    for (const result of record.results) {
+      result.size ??= approximateSize(result);
+      record.size += result.size;
+    }
+  }
+  return record.size;
+}
+
+// The key range covering every key for the given trace.  Arrays sort after all
+// other key types, so this covers every [traceName, type, ...] key.
+function traceKeyRange(traceName) {
+  return IDBKeyRange.bound([traceName], [traceName, []]);
+}
+
+// The limit `buildRangeQuery` uses when a rangeQuery doesn't specify one.
+const DEFAULT_RANGE_QUERY_LIMIT = 50;
+
+// ## rangeQuery coverage
+//
+// A rangeQuery result contains up to `limit` rows on each side of its focus
+// moment, where rows at the focus moment count as being before it.  If a side
+// has fewer than `limit` rows, we know there are no more rows in that direction
+// at all.  Otherwise, we know every row between the focus and the furthest row
+// on that side.  So every result tells us all of the rows in an interval of
+// moments, and overlapping intervals can be merged into a bigger interval.
+//
+// Coverage is a sorted list of disjoint intervals { start, end, rows, size }
+// where `start` and `end` are inclusive moments, null meaning the start or end
+// of the trace, `rows` are all of the (ascending) rows in that interval and
+// `size` is the `approximateSize` of the rows.  As with paged range queries,
+// if a limit happened to split multiple rows at the exact same moment, we
+// won't know about the rest of that moment's rows.
+
+// Is `start` <= `end`, treating a null `start` as the start of the trace and a
+// null `end` as the end of the trace?
+function startNotAfterEnd(start, end) {
+  return !start || !end || cmpMoment(start, end) <= 0;
+}
+
+function intervalContains(interval, moment) {
+  return startNotAfterEnd(interval.start, moment) &&
+    startNotAfterEnd(moment, interval.end);
+}
+
+function intervalsOverlap(a, b) {
+  return startNotAfterEnd(a.start, b.end) && startNotAfterEnd(b.start, a.end);
+}
+
+// Turn a rangeQuery result into a coverage interval, returning null if
+// normalization restructured the rows or the rows lack moments.
+function coverageIntervalFromResult(rows, extra) {
+  if (!Array.isArray(rows) || !extra ||
+      rows.length !== extra.beforeCount + extra.afterCount) {
+    return null;
+  }
+  const moments = rows.map(row => extractFocusMoment(row));
+  if (moments.some(moment => !moment)) {
+    return null;
+  }
+  return {
+    start: extra.beforeCount >= extra.limit ? moments[0] : null,
+    end: extra.afterCount >= extra.limit ? moments[moments.length - 1] : null,
+    rows,
+    size: approximateSize(rows),
+  };
+}
+
+// Intervals stored before we tracked their sizes lack them.
+function intervalSize(interval) {
+  interval.size ??= approximateSize(interval.rows);
+  return interval.size;
+}
+
+// Merge overlapping intervals, preferring the rows of `newer` where they
+// overlap.  The size of the merged interval is derived from the sizes of the
+// two intervals so that we only have to measure the rows being replaced rather
+// than everything.
+function mergeIntervals(newer, older) {
+  const rowsBefore = [];
+  const rowsAfter = [];
+  const replacedRows = [];
+  for (const row of older.rows) {
+    const moment = extractFocusMoment(row);
+    if (newer.start && cmpMoment(moment, newer.start) < 0) {
+      rowsBefore.push(row);
+    } else if (newer.end && cmpMoment(moment, newer.end) > 0) {
+      rowsAfter.push(row);
+    } else {
+      replacedRows.push(row);
+    }
+  }
+  return {
+    start: (newer.start && older.start) ?
+      (cmpMoment(newer.start, older.start) <= 0 ? newer.start : older.start) : null,
+    end: (newer.end && older.end) ?
+      (cmpMoment(newer.end, older.end) >= 0 ? newer.end : older.end) : null,
+    rows: [...rowsBefore, ...newer.rows, ...rowsAfter],
+    size: intervalSize(newer) + intervalSize(older) -
+      (replacedRows.length ? approximateSize(replacedRows) : 0),
+  };
+}
+
+// Return a new coverage list with `interval` merged in.
+function addCoverageInterval(coverage, interval) {
+  let merged = interval;
+  const disjoint = [];
+  for (const existing of coverage) {
+    if (intervalsOverlap(merged, existing)) {
+      merged = mergeIntervals(merged, existing);
+    } else {
+      disjoint.push(existing);
+    }
+  }
+  disjoint.push(merged);
+  disjoint.sort((a, b) => (!a.start ? -1 : !b.start ? 1 : cmpMoment(a.start, b.start)));
+  return disjoint;
+}
+
+// Is the coverage anything less than all of the rows in the trace?
+function coverageIsLimited(coverage) {
+  return coverage.length !== 1 || !!coverage[0].start || !!coverage[0].end;
+}
+
+// Return the rows the server would return for a rangeQuery at `moment` with
+// the given `limit` if our coverage is sufficient to know them, otherwise null.
+// If we don't know the moment, we can only help if we have every row.
+function rowsFromCoverage(coverage, moment, limit) {
+  if (!moment) {
+    return coverageIsLimited(coverage) ? null : coverage[0].rows;
+  }
+  const interval = coverage.find(iv => intervalContains(iv, moment));
+  if (!interval) {
+    return null;
+  }
+  const rows = interval.rows;
+  let split = rows.findIndex(row => cmpMoment(extractFocusMoment(row), moment) > 0);
+  if (split === -1) {
+    split = rows.length;
+  }
+  // If there are fewer than `limit` rows on a side, the interval needs to
+  // extend to that end of the trace.
+  if ((split < limit && interval.start) ||
+      (rows.length - split < limit && interval.end)) {
+    return null;
+  }
+  return rows.slice(Math.max(0, split - limit), split + limit);
+}
+
+// The size of a result with coverage, which is the size of everything but the
+// coverage plus the sizes of its intervals.
+function coverageResultSize(result) {
+  return approximateSize(Object.assign({}, result, { coverage: undefined })) +
+    result.coverage.reduce((sum, interval) => sum + intervalSize(interval), 0);
+}
+
+// How useful a cached result has been; when we have too many results for a
+// key we discard the least useful.
+function resultScore(result) {
+  return result.hitCount - result.missCount;
+}
+
+// Version 1 of the database: the cache store.
+function createCacheStore(db) {
+  // The cache store uses separate keys with scheme:
+  // [traceName, type, name, [specific params...]]
+  // where the specific params are consistently chosen by
+  // `#extractNamingKeyFromPayload` and will generally be tupled over the
+  // type and (payload.)name.
+  //
+  // All records have the following structure:
+  // - lastUpdated: A JS timestamp corresponding to when the store request
+  //   was made, indexed.
+  // - lastUsed: A JS timestamp tracking when this query was last used,
+  //   also indexed.  `#evict` walks this index to evict the least
+  //   recently used records first.
+  // - size: The approximate size of all the results in bytes; see
+  //   `approximateSize`.  Indexed as of version 2 so that `#evict` can
+  //   tally sizes without reading the records.
+  // - results[]: An array of {type, payload, result, extra, limitHit,
+  //   hitCount, missCount, lastUsed, size}.
+  //   This allows for caching multiple queries for a single key
+  //   to handle larger traces where the range query hit the limit and we
+  //   can't just return the results we have across all focus values.
+  //   rangeQuery results are instead stored as a single entry with
+  //   `coverage` in place of `result` and `extra`; see
+  //   `coverageIntervalFromResult`.  Results whose rows we can't get
+  //   moments for still use `result` and can only be reused on an exact
+  //   focus moment match.
+  const cacheStore = db.createObjectStore("cache");
+  cacheStore.createIndex("lastUpdated", "lastUpdated");
+  cacheStore.createIndex("lastUsed", "lastUsed");
+}
+
+// Version 2 of the database: index the record sizes so eviction can walk the
+// index's keys rather than reading every record.  Records stored before we
+// tracked sizes get theirs computed and written back so they're indexed too.
+async function addSizeIndex(transaction) {
+  const cacheStore = transaction.objectStore("cache");
+  cacheStore.createIndex("size", "size");
+  for (let cursor = await cacheStore.openCursor(); cursor; cursor = await cursor.continue()) {
+    if (cursor.value.size === undefined) {
+      const record = cursor.value;
+      recordSize(record);
+      await cursor.update(record);
+    }
+  }
+}
+
+// The summary of a record that `listEntries` provides, which leaves out the
+// payloads and results so that it's cheap to read.
+function summarizeRecord(record) {
+  return {
+    lastUpdated: record.lastUpdated,
+    lastUsed: record.lastUsed,
+    size: recordSize(record),
+    results: record.results.map(result => ({
+      type: result.type,
+      limitHit: result.limitHit,
+      hitCount: result.hitCount,
+      missCount: result.missCount,
+      lastUsed: result.lastUsed,
+      size: result.size,
+      focusMoment: result.extra?.focusMoment || null,
+      intervalCount: result.coverage?.length ?? null,
+    })),
+  };
+}
+
+// Version 3 of the database: the summaries store, which has the
+// `summarizeRecord` summary of every record in the cache store under the same
+// key and is kept in sync with it.
+async function addSummariesStore(db, transaction) {
+  const summariesStore = db.createObjectStore("summaries");
+  const cacheStore = transaction.objectStore("cache");
+  for (let cursor = await cacheStore.openCursor(); cursor; cursor = await cursor.continue()) {
+    await summariesStore.put(summarizeRecord(cursor.value), cursor.key);
+  }
+}
+
+// Both of our stores, for transactions that need to keep them in sync.
+const BOTH_STORES = ["cache", "summaries"];
 
 export class IDBCacheHelper {
   #db;
   #traceName;
-
-  constructor({ traceName }) {
+  #dbName;
+  #maxTraceBytes;
+  #maxTotalBytes;
+  #maxResultsPerKey;
+  // Bytes stored since we last checked our budgets, starting out as if we'd
+  // exceeded the threshold so that the first store triggers a check.
+  #bytesSinceEvictionCheck = EVICTION_CHECK_BYTES;
+  // The promise of the in-progress eviction check, if any.
+  #evictionPromise = null;
+
+  // `dbName` allows tests to use a scratch database.  The `max*Bytes` budgets
+  // are approximate; see `approximateSize`.  `maxTraceBytes` applies to each
+  // trace in the cache separately, not just ours.
+  constructor({
+    traceName, dbName = "pernosco-cache",
+    maxTraceBytes = DEFAULT_MAX_TRACE_BYTES,
+    maxTotalBytes = DEFAULT_MAX_TOTAL_BYTES,
+    maxResultsPerKey = DEFAULT_MAX_RESULTS_PER_KEY,
+  }) {
     this.#traceName = traceName;
+    this.#dbName = dbName;
+    this.#maxTraceBytes = maxTraceBytes;
+    this.#maxTotalBytes = maxTotalBytes;
+    this.#maxResultsPerKey = maxResultsPerKey;
     // Initially have this be a promise that resolve to the database; we'll
     // clobber it to directly be the database after.
     this.#db = this.#openDB();
@@ -21,35 +314,23 @@ export class IDBCacheHelper {
 
     // We assign the promise to this.#db immediately so other methods can await
     // this.#db at any time after this method goes async.
-    const openPromise = this.#db = openDB("pernosco-cache", 1, {
-      upgrade(db, oldVersion, newVersion, transaction, event) {
-        // The cache store uses separate keys with scheme:
-        // [traceName, type, name, [specific params...]]
-        // where the specific params are consistently chosen by
-        // `#extractNamingKeyFromPayload` and will generally be tupled over the
-        // type and (payload.)name.
-        //
-        // All records have the following structure:
-        // - lastUpdated: A JS timestamp corresponding to when the store request
-        //   was made.  An index is populated based on this to allow for LRU
-        //   eviction of the cache (eventually)
-        // - lastUsed: A JS timestamp tracking when this query was last used,
-        //   also indexed.
-        // - results[]: An array of {type, payload, result, hitCount, missCount,
-        //   lastUsed}.
-        //   This allows for caching multiple queries for a single key
-        //   to handle larger traces where the range query hit the limit and we
-        //   can't just return the results we have across all focus values.
-        const cacheStore = db.createObjectStore("cache");
-        cacheStore.createIndex("lastUpdated", "lastUpdated");
-        cacheStore.createIndex("lastUsed", "lastUsed");
+    const openPromise = this.#db = openDB(this.#dbName, 3, {
+      async upgrade(db, oldVersion, newVersion, transaction, event) {
+        if (oldVersion < 1) {
+          createCacheStore(db);
+        }
+        if (oldVersion < 2) {
+          await addSizeIndex(transaction);
+        }
+        if (oldVersion < 3) {
+          await addSummariesStore(db, transaction);
+        }
       },
     });
     // And now we clobber this.#db with the actual
     this.#db = await openPromise;
     return this.#db;
   }
-
   // Return an array of characteristic parameters for the given type + payload.
   // We need the client in order to extract the current focus which some queries
   // use implicitly.  (The injected logic mixes the current focus in by default,
@@ -60,11 +341,14 @@ export class IDBCacheHelper {
     // Note that the statusReport also has `source` with:
     // { fileName, lang, pos, url, withCreds}
     let focus = payload?.mixArgs?.focus || client?.statusReport?.focus;
-    if (!focus) {
-      console.log("no focus available, unable to derive cache key", payload, client.statusReport);
+    const isRangeQuery = (type === "rangeQuery" || type === "rangeQueryAll");
+    // Range query keys don't involve the focus, and `lookup` can still use
+    // complete coverage without one.
+    if (!focus?.moment && !isRangeQuery) {
+      console.log("no focus available, unable to derive cache key", payload, client?.statusReport);
       return undefined;
     }
-    const momentKeys = [focus.moment.event, focus.moment.instr];
+    const momentKeys = focus?.moment && [focus.moment.event, focus.moment.instr];
 
     const name = payload?.name;
     if (!name) {
@@ -72,12 +356,23 @@ export class IDBCacheHelper {
       return undefined;
     }
 
-    // ## rangeQuery
-    if (type === "rangeQuery") {
+    // ## rangeQuery / rangeQueryAll
+    //
+    // "rangeQueryAll" isn't a real message type; it's what
+    // `BridgeClient.rangeQueryAll` uses to cache the complete set of results it
+    // assembled from multiple paged "rangeQuery" requests.  It gets keyed just
+    // like "rangeQuery" but it has no limit semantics.
+    if (isRangeQuery) {
       // All rangeQuery requests use the current client focus but we don't need
       // to key on that in most cases since we can check the value and figure out
       // if we hit a limit or not.
 
+      // Individual pages of a paged query depend on the cursor and window and
+      // aren't worth caching on their own.
+      if (payload.paged) {
+        return undefined;
+      }
+
       // rangeQuery {name: "execution"} is specifically characterized by the
       // params { symbol, print[] }.
       if (name === "execution") {
@@ -193,7 +488,8 @@ export class IDBCacheHelper {
 
     const db = await this.#db;
 
-    const store = db.transaction("cache", "readwrite").objectStore("cache");
+    const tx = db.transaction(BOTH_STORES, "readwrite");
+    const store = tx.objectStore("cache");
     const record = await store.get(key);
     if (!record) {
       console.log("no existing cache entry for key:", key);
@@ -205,49 +501,27 @@ export class IDBCacheHelper {
     const now = Date.now();
     record.lastUsed = now;
     let useResult = null;
+    let useRows = null;
     if (isRangeQuery) {
       const requestMoment = payload?.mixArgs?.focus?.moment || client?.statusReport?.focus?.moment;
+      const limit = payload.limit || DEFAULT_RANGE_QUERY_LIMIT;
 
       for (const result of record.results) {
-        // If we didn't hit a limit, we can just use the first result we find.
-        if (!result.limitHit) {
-          useResult = result;
-          // This should also generally be our only result but if we parallelize
-          // requests it also seems conceivable that we could end up with
-          // duplicated results... let's warn though so we can be aware.
-          if (record.results.length > 1) {
-            console.warn("More than one set of results without limit hit:", record);
+        if (result.coverage) {
+          useRows = rowsFromCoverage(result.coverage, requestMoment, limit);
+          if (useRows) {
+            useResult = result;
+            break;
           }
-          break;
         }
-
-        // So if limits were hit, our options are:
-        // 1. Only reuse on exact-match.
-        // 2. Declare some portion of the limit an acceptable slippage for a given
-        //    request.  Like if our request's focus is within 25% of the limit
-        //    from the "center" (we can use extra.beforeCount or afterCount to
-        //    quickly know this), then we can just reuse that.  And we don't even
-        //    need to binary search since it's just a question of ensuring the
-        //    request focus is within the range defined by the results at those
-        //    points.
-
-        const resultMoment = result.extra.focusMoment;
-
-        // Option 1 fast path; this is an exact moment match.
-        if (cmpMoment(requestMoment, resultMoment) === 0) {
+        // If we didn't hit a limit, we can just use the result.
+        else if (!result.limitHit) {
           useResult = result;
           break;
         }
-
-        // Check the ranges.
-        const slippage = Math.floor(result.extra.limit * 0.25);
-        const startIndex = Math.max(0, result.extra.beforeCount - slippage);
-        const endIndex = Math.min(result.results.length - 1, result.extra.beforeCount + slippage);
-
-        const startMoment = extractFocusMoment(result.results[startIndex]);
-        const endMoment = extractFocusMoment(result.results[endIndex]);
-
-        if (inMomentRange(startMoment, resultMoment, endMoment)) {
+        // Otherwise we can only reuse the result on an exact match.
+        else if (requestMoment &&
+                 cmpMoment(requestMoment, result.extra.focusMoment) === 0) {
           useResult = result;
           break;
         }
@@ -264,10 +538,13 @@ export class IDBCacheHelper {
       console.log("existing cache entry has no hits", record);
     }
 
-    // We intentionally don't wait for this write to complete.
+    // We intentionally don't wait for these writes to complete.
     store.put(record, key);
+    tx.objectStore("summaries").put(summarizeRecord(record), key);
 
-    if (useResult) {
+    if (useRows) {
+      return useRows;
+    } else if (useResult) {
       return useResult.result;
     } else {
       return null;
@@ -286,7 +563,8 @@ export class IDBCacheHelper {
 
     const db = await this.#db;
 
-    const store = db.transaction("cache", "readwrite").objectStore("cache");
+    const tx = db.transaction(BOTH_STORES, "readwrite");
+    const store = tx.objectStore("cache");
     let record = await store.get(key);
 
     // Save a single 'now' timestamp for consistency in fields below.
@@ -296,34 +574,320 @@ export class IDBCacheHelper {
     const isRangeQuery = (type === "rangeQuery");
     let limitHit = isRangeQuery && (extra.beforeCount >= extra.limit || extra.afterCount >= extra.limit);
 
+    const coverageInterval = isRangeQuery && coverageIntervalFromResult(newResult, extra);
     const resultEntry = {
       type,
       payload,
-      result: newResult,
-      extra,
+      ...(coverageInterval ?
+        { coverage: [coverageInterval] } :
+        { result: newResult, extra }),
       limitHit,
       hitCount: 0,
       // How many times did we have this value in the DB but it wasn't useful?
       missCount: 0,
       lastUsed: now,
+      size: 0,
     };
+    resultEntry.size = approximateSize(resultEntry);
 
     // Do we already have results that we want to add this result to?
     if (record) {
-      // TODO: consider eviction here; for now we'll just always append.
+      recordSize(record);
       record.results.push(resultEntry);
+      this.#pruneResults(record);
+      record.lastUpdated = now;
+      record.lastUsed = now;
     } else {
       record = {
         lastUpdated: now,
         lastUsed: now,
+        size: resultEntry.size,
         results: [resultEntry],
       };
     }
 
-    // XXX for now we await the put to see any exceptions, but we don't really
+    // XXX for now we await the puts to see any exceptions, but we don't really
     // need to.
     await store.put(record, key);
+    await tx.objectStore("summaries").put(summarizeRecord(record), key);
+
+    this.#bytesSinceEvictionCheck += resultEntry.size;
+    if (this.#bytesSinceEvictionCheck >= EVICTION_CHECK_BYTES) {
+      // Eviction is housekeeping, so we don't make the caller wait on it.
+      this.evict().catch((ex) => {
+        console.warn("Problem evicting from the cache", ex);
+      });
+    }
 
     return true;
   }
+
+  // Discard results for a key that are made redundant by the newest result or
+  // that exceed `#maxResultsPerKey`, updating the record's size.  New coverage
+  // is merged into any existing coverage.  Results without a limit hit cover
+  // every focus, so a new one of those supersedes everything else, and a new
+  // result for the same focus moment supersedes the old one.
+  #pruneResults(record) {
+    let newest = record.results[record.results.length - 1];
+    let results = record.results;
+    const existingCoverage = newest.coverage &&
+      results.find(result => result !== newest && result.coverage);
+    if (existingCoverage) {
+      for (const interval of newest.coverage) {
+        existingCoverage.coverage = addCoverageInterval(existingCoverage.coverage, interval);
+      }
+      existingCoverage.payload = newest.payload;
+      existingCoverage.limitHit = coverageIsLimited(existingCoverage.coverage);
+      existingCoverage.lastUsed = Math.max(existingCoverage.lastUsed, newest.lastUsed);
+      existingCoverage.size = coverageResultSize(existingCoverage);
+      results = results.filter(result => result !== newest);
+      newest = existingCoverage;
+    }
+
+    if (!newest.limitHit) {
+      results = [newest];
+    } else {
+      const newestMoment = newest.extra?.focusMoment;
+      results = results.filter(result => result === newest ||
+        !result.limitHit || !newestMoment || !result.extra?.focusMoment ||
+        cmpMoment(result.extra.focusMoment, newestMoment) !== 0);
+    }
+
+    if (results.length > this.#maxResultsPerKey) {
+      // Keep the newest result since we know nothing about its usefulness yet
+      // and the rest by descending usefulness, breaking ties by recency.
+      const others = results.filter(result => result !== newest);
+      others.sort((a, b) => (resultScore(b) - resultScore(a)) || (b.lastUsed - a.lastUsed));
+      results = [newest, ...others.slice(0, this.#maxResultsPerKey - 1)];
+    }
+
+    record.results = results;
+    record.size = results.reduce((sum, result) => sum + result.size, 0);
+  }
+
+  // Evict the least recently used records until every trace is within
+  // `#maxTraceBytes` and the whole cache is within `#maxTotalBytes`, further
+  // reduced as needed if the storage manager reports we're near our quota.
+  // Concurrent calls share the same eviction pass.
+  evict() {
+    if (!this.#evictionPromise) {
+      this.#bytesSinceEvictionCheck = 0;
+      this.#evictionPromise = this.#evict().finally(() => {
+        this.#evictionPromise = null;
+      });
+    }
+    return this.#evictionPromise;
+  }
+
+  async #evict() {
+    // We need to get the estimate before starting our transaction because
+    // awaiting anything other than the transaction's requests will cause it to
+    // auto-commit.
+    let overQuotaBytes = 0;
+    try {
+      const estimate = await globalThis.navigator?.storage?.estimate();
+      if (estimate?.quota) {
+        overQuotaBytes = Math.max(0, estimate.usage - estimate.quota * STORAGE_PRESSURE_RATIO);
+      }
+    } catch (ex) {
+      console.warn("Unable to estimate storage usage", ex);
+    }
+
+    const db = await this.#db;
+
+    // Tally up the sizes by walking the keys of the size index, which doesn't
+    // need to read (and deserialize) any records.  Keys are arrays, so we
+    // stringify them to look them up.
+    let totalSize = 0;
+    const traceSizes = new Map();
+    const recordSizes = new Map();
+    const tallyTx = db.transaction("cache", "readonly");
+    const sizeIndex = tallyTx.store.index("size");
+    for (let cursor = await sizeIndex.openKeyCursor(); cursor; cursor = await cursor.continue()) {
+      const size = cursor.key;
+      const traceName = cursor.primaryKey[0];
+      recordSizes.set(JSON.stringify(cursor.primaryKey), size);
+      totalSize += size;
+      traceSizes.set(traceName, (traceSizes.get(traceName) || 0) + size);
+    }
+    await tallyTx.done;
+
+    // The storage estimate includes overhead and other stores that we can't
+    // account for, so it's possible for this to call for evicting everything.
+    const totalBudget = Math.min(this.#maxTotalBytes, totalSize - overQuotaBytes);
+    const overTraces = () => {
+      for (const size of traceSizes.values()) {
+        if (size > this.#maxTraceBytes) {
+          return true;
+        }
+      }
+      return false;
+    };
+    if (totalSize <= totalBudget && !overTraces()) {
+      return { evictedCount: 0, evictedBytes: 0 };
+    }
+
+    let evictedCount = 0;
+    let evictedBytes = 0;
+    const tx = db.transaction(BOTH_STORES, "readwrite");
+    const index = tx.objectStore("cache").index("lastUsed");
+    for (let cursor = await index.openKeyCursor(); cursor; cursor = await cursor.continue()) {
+      const size = recordSizes.get(JSON.stringify(cursor.primaryKey));
+      // Records stored since we tallied are the most recently used anyway.
+      if (size === undefined) {
+        continue;
+      }
+      const traceName = cursor.primaryKey[0];
+      const traceSize = traceSizes.get(traceName);
+      if (totalSize <= totalBudget && traceSize <= this.#maxTraceBytes) {
+        // Only other traces can still be over budget.
+        if (!overTraces()) {
+          break;
+        }
+        continue;
+      }
+
+      await tx.objectStore("cache").delete(cursor.primaryKey);
+      await tx.objectStore("summaries").delete(cursor.primaryKey);
+      totalSize -= size;
+      traceSizes.set(traceName, traceSize - size);
+      evictedCount++;
+      evictedBytes += size;
+    }
+    await tx.done;
+
+    console.log("evicted", evictedCount, "cache records totaling", evictedBytes, "bytes");
+    return { evictedCount, evictedBytes };
+  }
+
+  // ## Inspection
+  //
+  // These cover the whole database, not just our trace, so that the cache
+  // inspector can show and manage everything.  Keys are the full
+  // [traceName, type, name, namingKey] keys.
+
+  // Return a summary of every record, ordered by key, as a list of
+  // { key, lastUpdated, lastUsed, size, results[] } where results don't include
+  // their payloads or results but do include a `focusMoment` for rangeQuery
+  // results without coverage and an `intervalCount` for those with it.  These
+  // come from the summaries store so we never have to read the records.
+  async listEntries() {
+    const db = await this.#db;
+    const entries = [];
+    const tx = db.transaction("summaries", "readonly");
+    for (let cursor = await tx.store.openCursor(); cursor; cursor = await cursor.continue()) {
+      entries.push(Object.assign({ key: cursor.key }, cursor.value));
+    }
+    await tx.done;
+    return entries;
+  }
+
+  // Return the complete record for the given key, or undefined.
+  async getEntry(key) {
+    const db = await this.#db;
+    return db.get("cache", key);
+  }
+
+  async deleteEntry(key) {
+    const db = await this.#db;
+    const tx = db.transaction(BOTH_STORES, "readwrite");
+    await Promise.all([
+      tx.objectStore("cache").delete(key),
+      tx.objectStore("summaries").delete(key),
+      tx.done,
+    ]);
+  }
+
+  // Delete all the records for the given trace.
+  async deleteTrace(traceName) {
+    const db = await this.#db;
+    const range = traceKeyRange(traceName);
+    const tx = db.transaction(BOTH_STORES, "readwrite");
+    await Promise.all([
+      tx.objectStore("cache").delete(range),
+      tx.objectStore("summaries").delete(range),
+      tx.done,
+    ]);
+  }
+
+  // ## Export / Import
+  //
+  // See `cache_archive.js` for the file format wrapped around these.
+
+  // Return all the records for the given trace as a list of { key, record }.
+  async exportTrace(traceName) {
+    const db = await this.#db;
+    const records = [];
+    const tx = db.transaction("cache", "readonly");
+    const range = traceKeyRange(traceName);
+    for (let cursor = await tx.store.openCursor(range); cursor; cursor = await cursor.continue()) {
+      records.push({ key: cursor.key, record: cursor.value });
+    }
+    await tx.done;
+    return records;
+  }
+
+  // Import a list of { key, record } as produced by `exportTrace`, returning
+  // counts of what happened as { added, replaced, merged, skipped }.  `conflict`
+  // controls what happens to keys we already have records for:
+  // - "skip": Keep our existing record.
+  // - "replace": Use the imported record.
+  // - "merge": Add the imported results to our existing record as if they'd
+  //   just been stored, pruning redundant results the same way.
+  //
+  // Imported records are marked as just used so that they don't immediately
+  // get evicted for having been last used on someone else's machine.
+  async importRecords(records, { conflict = "merge" } = {}) {
+    if (!["skip", "replace", "merge"].includes(conflict)) {
+      throw new Error(`Unknown import conflict mode: ${conflict}`);
+    }
+
+    const counts = { added: 0, replaced: 0, merged: 0, skipped: 0 };
+    const now = Date.now();
+    const db = await this.#db;
+    const tx = db.transaction(BOTH_STORES, "readwrite");
+    const store = tx.objectStore("cache");
+    const putRecord = async (newRecord, key) => {
+      await store.put(newRecord, key);
+      await tx.objectStore("summaries").put(summarizeRecord(newRecord), key);
+    };
+    for (const { key, record } of records) {
+      // Recompute the sizes rather than trusting them.
+      delete record.size;
+      for (const result of record.results) {
+        delete result.size;
+        for (const interval of result.coverage || []) {
+          delete interval.size;
+        }
+      }
+      recordSize(record);
+      record.lastUsed = now;
+
+      const existing = await store.get(key);
+      if (!existing) {
+        await putRecord(record, key);
+        counts.added++;
+      } else if (conflict === "skip") {
+        counts.skipped++;
+      } else if (conflict === "replace") {
+        await putRecord(record, key);
+        counts.replaced++;
+      } else {
+        recordSize(existing);
+        for (const result of record.results) {
+          existing.results.push(result);
+          this.#pruneResults(existing);
+        }
+        existing.lastUpdated = Math.max(existing.lastUpdated, record.lastUpdated);
+        existing.lastUsed = now;
+        await putRecord(existing, key);
+        counts.merged++;
+      }
+    }
+    await tx.done;
+
+    // Importing can easily put us over budget.
+    await this.evict();
+    return counts;
+  }
 }
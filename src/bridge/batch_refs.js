@@ -0,0 +1,143 @@
+/**
+ * Support for references between the items of a "batchQuery".  Anywhere in an
+ * item's payload, a value of the form `{ $ref: index, extractor, path }` is
+ * replaced by the result of the earlier item at `index` before the item's query
+ * is run.  Both `extractor` and `path` are optional:
+ * - extractor: The name of one of the `BATCH_REF_EXTRACTORS` below, which
+ *   derives something useful from the raw result rows.
+ * - path: An array of property names/indices to walk into the (extracted)
+ *   value.
+ *
+ * Extractors live here rather than in the server so that the client can use
+ * the exact same logic when it's not batching or when it serves items from its
+ * cache.  This means they see raw rows in the pernosco tab and normalized rows
+ * on the client, so they should only look at things normalization doesn't
+ * change.
+ */
+
+// The `{ address, size }` of the memory a PML node's value was read from, if
+// its producer tells us.  This is the subset of `grokProducer` that we need.
+function producerMemoryRange(producer) {
+  const ranges = producer?.memory?.ranges || producer?.subrange?.producer?.memory?.ranges;
+  if (!ranges?.length) {
+    return null;
+  }
+  return { address: ranges[0].start, size: ranges[0].end - ranges[0].start };
+}
+
+// Depth-first search of a PML tree for the first node with a memory producer.
+// Extractors can run on raw rows in the pernosco tab, so we intentionally
+// don't use the grokker here.
+function findMemoryRange(pml) {
+  if (!pml || typeof(pml) !== 'object') {
+    return null;
+  }
+  const range = producerMemoryRange(pml.a?.data?.producer);
+  if (range) {
+    return range;
+  }
+  for (const kid of (pml.c || [])) {
+    const kidRange = findMemoryRange(kid);
+    if (kidRange) {
+      return kidRange;
+    }
+  }
+  return null;
+}
+
+export const BATCH_REF_EXTRACTORS = {
+  /**
+   * Given the results of an "evaluate" query for a pointer, produce
+   * `{ address, type }` suitable for use as "watchpoint" params.
+   */
+  evaluatedPointer(rows) {
+    const range = findMemoryRange(rows?.[0]?.value);
+    if (!range) {
+      throw new Error('evaluate result was not a pointer');
+    }
+    return {
+      address: `0x${range.address.toString(16)}`,
+      type: range.size === 8 ? "uint64_t" : "uint32_t",
+    };
+  },
+
+  /**
+   * Given the results of a "dynamicAnnotations" query, produce the `{ l, c }`
+   * position of the last line with an annotation, suitable for use as a
+   * "breakpoint" point.
+   */
+  lastAnnotatedLine(rows) {
+    let last = null;
+    for (const point of (rows?.[0]?.glyphMarginDecoration?.points || [])) {
+      const [line, column] = point[0].l;
+      if (!last || line >= last.l) {
+        last = { l: line, c: column };
+      }
+    }
+    if (!last) {
+      throw new Error('dynamicAnnotations result had no annotated lines');
+    }
+    return last;
+  },
+};
+
+function isBatchRef(value) {
+  return value && typeof(value) === 'object' && '$ref' in value;
+}
+
+/**
+ * Return the Set of item indices referenced by the given payload.
+ */
+export function findBatchRefs(value, refs = new Set()) {
+  if (isBatchRef(value)) {
+    refs.add(value.$ref);
+  } else if (value && typeof(value) === 'object') {
+    for (const kid of Object.values(value)) {
+      findBatchRefs(kid, refs);
+    }
+  }
+  return refs;
+}
+
+/**
+ * Produce a copy of `value` with each of its references replaced by
+ * `mapRef(ref)`, where `ref` is the `{ $ref, extractor, path }` reference.
+ */
+export function mapBatchRefs(value, mapRef) {
+  if (isBatchRef(value)) {
+    return mapRef(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(kid => mapBatchRefs(kid, mapRef));
+  }
+  if (value && typeof(value) === 'object') {
+    const mapped = {};
+    for (const [key, kid] of Object.entries(value)) {
+      mapped[key] = mapBatchRefs(kid, mapRef);
+    }
+    return mapped;
+  }
+  return value;
+}
+
+/**
+ * Produce a copy of `value` with all of its references replaced using
+ * `getResult(index)` to get the (already available) result of the referenced
+ * item.
+ */
+export function resolveBatchRefs(value, getResult) {
+  return mapBatchRefs(value, ({ $ref, extractor, path }) => {
+    let resolved = getResult($ref);
+    if (extractor) {
+      const extractFunc = BATCH_REF_EXTRACTORS[extractor];
+      if (!extractFunc) {
+        throw new Error(`Unknown batchQuery extractor: ${extractor}`);
+      }
+      resolved = extractFunc(resolved);
+    }
+    for (const step of (path || [])) {
+      resolved = resolved?.[step];
+    }
+    return resolved;
+  });
+}
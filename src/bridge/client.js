@@ -3,35 +3,625 @@
  **/
 
 import { IDBCacheHelper } from '../analyzer/idb_cache_helper.js';
-import { RuntimeConnectIssuingHandler } from './msg_handler.js';
+import { findBatchRefs, mapBatchRefs, resolveBatchRefs } from './batch_refs.js';
+import {
+  BridgeRemoteError, MessageHandler, RequestCancelledError, serializeError
+} from './msg_handler.js';
+import { NotebookMirror } from './notebook.js';
+import {
+  ALL_CAPABILITIES, BRIDGE_PROTOCOL_VERSION, CAPABILITY_DESCRIPTIONS,
+  DEFAULT_RANGE_QUERY_ALL_MAX_ROWS, requestFocusMoment, requestKey
+} from './protocol.js';
+import { RequestScheduler } from './scheduler.js';
+import { RuntimeIssuingTransport } from './transports.js';
 
-export class BridgeClient extends RuntimeConnectIssuingHandler {
-  constructor({ onStatusReport, normalizeReceivedPayload }) {
-    // We tunnel the session id through the searchParams (previously via the
-    // hash), but we probably should be trying to use a tab weakmap or
-    // equivalent.  That would help with the reloads.
-    const urlParams = new URLSearchParams(window.location.search);
+// How long we're willing to wait for the pernosco tab to answer a query before
+// giving up on it.  This is intentionally generous because range queries over
+// large traces can legitimately take a while, but it means a stalled pernosco
+// tab no longer hangs the UI forever.
+const DEFAULT_REQUEST_TIMEOUT_MS = 5 * 60 * 1000;
 
-    const traceName = urlParams.get("trace");
-    const cacheHelper = new IDBCacheHelper({ traceName });
+// How many queries we let pernosco work on at once by default.
+const DEFAULT_MAX_IN_FLIGHT = 4;
 
-    super('client', urlParams.get("sess"), { cacheHelper });
-    document.location.hash = "";
+// The request types that actually result in pernosco queries and so go through
+// the scheduler.
+const SCHEDULED_REQUEST_TYPES = new Set(['rangeQuery', 'simpleQuery', 'batchQuery']);
+
+/**
+ * Assemble the raw rows of a streamed "rangeQuery" out of its "queryData"
+ * partial payloads into the same ascending order as an unstreamed reply.
+ */
+function assembleStreamedRangeRows(partials) {
+  const beforeRows = [];
+  const afterRows = [];
+  for (const { direction, rows } of partials) {
+    (direction === 'before' ? beforeRows : afterRows).push(...rows);
+  }
+  return [...beforeRows.reverse(), ...afterRows];
+}
+
+export function highlightKey(moment) {
+  return `${moment.event}:${moment.instr}`;
+}
+
+/**
+ * By default the client is assumed to live in the extension UI page and talks to
+ * the session named in its URL via the background page, caching results in
+ * IndexedDB.  Code running elsewhere (ex: a node script driving the `Analyzer`
+ * against a stand-in server) can instead provide:
+ * - transport: Any transport from `transports.js`.
+ * - traceName: The trace name to use for caching purposes.
+ * - cacheHelper: The cache helper to use, or null to disable caching.  Defaults
+ *   to an `IDBCacheHelper` for the `traceName`.
+ *
+ * Queries are funneled through a `RequestScheduler` which limits how many are
+ * in flight at once to `maxInFlight`; see `sendMessageAwaitingReply`.
+ * `onQueueChange` is invoked with `{ queued, inFlight }` as that changes.
+ *
+ * We also mirror the pernosco notebook into `this.notebook`, invoking
+ * `onNotebookChange(notebook)` when it changes, and track the user highlights
+ * pernosco tells us about in `this.highlights`, invoking
+ * `onHighlightsChange(highlights)` when they change.
+ *
+ * Servers that track pernosco's own connection state report it to us and we
+ * invoke `onConnectionState(connectionState)` with it.
+ *
+ * The background page may ask us to show a diagram for a searchfox symbol, in
+ * which case we invoke `onShowDiagram({ direction, symbol, symbols })`, or the
+ * executions of the implementation of a spec dfn, in which case we invoke
+ * `onShowImplementationExecutions({ dfnUrl, label, symbols })`.
+ */
+export class BridgeClient extends MessageHandler {
+  constructor({
+    onStatusReport, onCompatibility, onQueueChange, onNotebookChange,
+    onHighlightsChange, onConnectionState, onShowDiagram,
+    onShowImplementationExecutions, normalizeReceivedPayload,
+    transport, traceName, cacheHelper, maxInFlight = DEFAULT_MAX_IN_FLIGHT
+  }) {
+    if (!transport) {
+      // We tunnel the session id through the searchParams (previously via the
+      // hash), but we probably should be trying to use a tab weakmap or
+      // equivalent.  That would help with the reloads.
+      const urlParams = new URLSearchParams(window.location.search);
+
+      traceName ??= urlParams.get("trace");
+      transport = new RuntimeIssuingTransport(urlParams.get("sess"));
+      document.location.hash = "";
+    }
+    if (cacheHelper === undefined) {
+      cacheHelper = new IDBCacheHelper({ traceName });
+    }
+
+    super('client', {
+      transport,
+      cacheHelper,
+      requestTimeoutMs: DEFAULT_REQUEST_TIMEOUT_MS,
+    });
+
+    this.traceName = traceName;
+    // Exposed so that the UI can inspect and manage the cache.
+    this.cacheHelper = cacheHelper;
+    this.scheduler = new RequestScheduler({ maxInFlight, onQueueChange });
+    this.notebook = new NotebookMirror({ onChange: onNotebookChange });
+    // Map from `highlightKey(moment)` to the `{ moment, color }` highlight.
+    // We only know about highlights made while we've been connected.
+    this.highlights = new Map();
+    this.onHighlightsChange = onHighlightsChange;
+    // Map from source URL to the promise of its "source" reply.  Sources don't
+    // change over the life of a trace, so there's no need to ever refetch.
+    this.sources = new Map();
+
+    // The server's `{ state, since, reissuedQueries, failedQueries }` for its
+    // pernosco connection; null if it doesn't tell us.
+    this.connectionState = null;
+    this.onConnectionState = onConnectionState;
+    this.onShowDiagram = onShowDiagram;
+    this.onShowImplementationExecutions = onShowImplementationExecutions;
 
     this.statusReport = null;
+    // The capabilities reported by the server; null until we hear from it.
+    this.capabilities = null;
+    this.compatibility = null;
 
     this.onStatusReport = onStatusReport;
+    this.onCompatibility = onCompatibility;
     if (normalizeReceivedPayload) {
       this._normalizeReceivedPayload = normalizeReceivedPayload;
     }
   }
 
-  setFocus(focus) {
-    this.sendMessage('focus', { focus });
+  /**
+   * Queries are scheduled rather than sent immediately.  In addition to the
+   * options supported by `MessageHandler.sendMessageAwaitingReply`, `priority`
+   * can be "interactive" (the default) or "bulk".  Identical queries
+   * (including the focus moment they're relative to) that are outstanding at
+   * the same time are merged into a single request.  Merged callers all
+   * receive the same result object and must not mutate it.  Requests using
+   * `onPartial` are never merged.  Cached results don't involve pernosco, so
+   * the cache is checked before scheduling and hits never wait in the queue.
+   */
+  async sendMessageAwaitingReply(type, payload, options = {}) {
+    if (!SCHEDULED_REQUEST_TYPES.has(type)) {
+      return super.sendMessageAwaitingReply(type, payload, options);
+    }
+
+    const { priority, signal, onPartial, withExtra } = options;
+    if (signal?.aborted) {
+      throw new RequestCancelledError('aborted', { type, name: payload?.name });
+    }
+    const cached = await this._lookupCached(type, payload);
+    if (cached) {
+      return withExtra ? [cached, undefined] : cached;
+    }
+
+    let key = null;
+    if (!onPartial) {
+      const moment = requestFocusMoment(payload, this.statusReport);
+      key = `${requestKey(type, payload)}@${JSON.stringify(moment)}`;
+    }
+    return this.scheduler.schedule(
+      { key, priority, signal, describe: { type, name: payload?.name } },
+      (taskSignal) => super.sendMessageAwaitingReply(
+        type, payload,
+        Object.assign({}, options, {
+          signal: taskSignal, withExtra: true, skipCacheLookup: true,
+        }))
+    ).then(([result, extra]) => withExtra ? [result, extra] : result);
+  }
+
+  /**
+   * Issue a "rangeQuery" whose rows are streamed to us as pernosco produces
+   * them, returning an async iterator.  Each iteration yields a
+   * `{ direction, rows }` chunk where `direction` is "before" or "after" and
+   * "before" rows are in descending order (moving away from the focus).
+   *
+   * Normalization can need to see rows from different chunks together, so the
+   * rows of streamed chunks are only normalized on their own and are
+   * provisional.  The last chunk always has a null `direction` and contains
+   * all of the (ascending) results normalized together, and should replace
+   * everything yielded before it.  If the results came from the cache, it's
+   * the only chunk.
+   *
+   * Breaking out of the iteration early cancels the request.
+   */
+  async *streamRangeQuery(payload, { signal, timeoutMs, priority } = {}) {
+    const abortController = new AbortController();
+    const onAbort = () => abortController.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    const chunks = [];
+    let wake = null;
+    let done = false;
+    let finalResults, finalError;
+
+    this.sendMessageAwaitingReply(
+      'rangeQuery',
+      Object.assign({}, payload, { stream: true }),
+      {
+        signal: abortController.signal,
+        timeoutMs,
+        priority,
+        assembleStreamed: assembleStreamedRangeRows,
+        onPartial: ({ direction, rows }) => {
+          // The partial payloads are also used to assemble the final results,
+          // so give our consumer its own copy to do what it likes with.
+          chunks.push({ direction, rows: this._normalizeReceivedPayload([...rows]) });
+          wake?.();
+        },
+      }).then(
+        (results) => { finalResults = results; },
+        (ex) => { finalError = ex; }
+      ).finally(() => {
+        done = true;
+        wake?.();
+      });
+
+    try {
+      while (chunks.length || !done) {
+        if (chunks.length) {
+          yield chunks.shift();
+          continue;
+        }
+        await new Promise((resolve) => { wake = resolve; });
+        wake = null;
+      }
+      if (finalError) {
+        throw finalError;
+      }
+      yield { direction: null, rows: finalResults };
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      // If our consumer stopped iterating early, we don't need the rest.
+      if (!done) {
+        abortController.abort();
+      }
+    }
+  }
+
+  /**
+   * Retrieve all of the results for a "rangeQuery" payload across the entire
+   * trace (or the given `momentWindow` of `{ startMoment, endMoment }`) by
+   * issuing paged range queries centered on the current focus and following
+   * their cursors outward, with `payload.limit` acting as the page size.  We
+   * stop once there are no more results or we've accumulated `maxRows` rows,
+   * in which case the results are the `maxRows`-ish rows nearest the focus.
+   *
+   * Complete results for the whole trace get cached; results for a window or
+   * which hit the cap do not.  `priority` is used for each page's request.
+   */
+  async rangeQueryAll(payload, {
+    maxRows = DEFAULT_RANGE_QUERY_ALL_MAX_ROWS,
+    momentWindow = null,
+    signal,
+    timeoutMs,
+    priority
+  } = {}) {
+    if (!momentWindow) {
+      const cached = await this._lookupCached('rangeQueryAll', payload);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const pagedPayload = Object.assign({}, payload, {
+      paged: true,
+      momentWindow,
+    });
+    const [firstRows, firstExtra] = await this.sendMessageAwaitingReply(
+      'rangeQuery', pagedPayload,
+      { signal, timeoutMs, priority, withExtra: true });
+
+    let rows = firstRows;
+    let cursor = firstExtra.cursor;
+    while ((cursor.before || cursor.after) && rows.length < maxRows) {
+      const [pageRows, pageExtra] = await this.sendMessageAwaitingReply(
+        'rangeQuery',
+        Object.assign({}, pagedPayload, { cursor }),
+        { signal, timeoutMs, priority, withExtra: true });
+
+      // Normalization may have restructured the rows, in which case we can't
+      // split them by direction and they just get appended.
+      if (pageRows.length === pageExtra.beforeCount + pageExtra.afterCount) {
+        rows = [
+          ...pageRows.slice(0, pageExtra.beforeCount),
+          ...rows,
+          ...pageRows.slice(pageExtra.beforeCount),
+        ];
+      } else {
+        rows = rows.concat(pageRows);
+      }
+      cursor = pageExtra.cursor;
+    }
+
+    const complete = !cursor.before && !cursor.after;
+    if (!complete) {
+      console.warn("rangeQueryAll hit its cap of", maxRows, "rows for", payload);
+    } else if (!momentWindow) {
+      await this._storeCached('rangeQueryAll', payload, rows, {
+        focusMoment: firstExtra.focusMoment,
+        rowCount: rows.length,
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Discard the cached results stored under the given `IDBCacheHelper` key
+   * (which must be for our trace) and re-run the queries that produced them so
+   * that the cache is repopulated with fresh results.  Any implicit focus in
+   * the queries will be our current focus, so focus-dependent results may end
+   * up stored under a different key.
+   */
+  async refreshCached(key, { signal, priority = 'bulk' } = {}) {
+    if (!this.cacheHelper) {
+      throw new Error("Caching is disabled");
+    }
+    if (key[0] !== this.traceName) {
+      throw new Error(`Can't refresh cache entries for other traces: ${key[0]}`);
+    }
+    const record = await this.cacheHelper.getEntry(key);
+    if (!record) {
+      return;
+    }
+    await this.cacheHelper.deleteEntry(key);
+    for (const { type, payload } of record.results) {
+      if (type === 'rangeQueryAll') {
+        await this.rangeQueryAll(payload, { signal, priority });
+      } else {
+        await this.sendMessageAwaitingReply(type, payload, { signal, priority });
+      }
+    }
+  }
+
+  /**
+   * Run multiple queries in a single round-trip using "batchQuery"; see
+   * `ContentScriptServer.onMsg_batchQuery` and `batch_refs.js` for how item
+   * payloads can reference the results of earlier items.  `queries` is a list
+   * of `{ type, payload }` and we resolve with a list of `{ result, extra }` or
+   * `{ error }` where `error` is a `BridgeRemoteError`.  A failure of the batch
+   * as a whole (ex: cancellation) rejects.
+   *
+   * Each item is cached like the query would be on its own.  Items we have
+   * cached results for (after resolving any references to other cached items)
+   * are answered locally with an undefined `extra` and only the rest are sent.
+   *
+   * If the server doesn't support "batchQuery" we issue the queries one at a
+   * time ourselves with the same semantics.
+   */
+  async batchQuery(queries, options = {}) {
+    if (!this.hasCapability('batchQuery')) {
+      return this.#batchQueryOneAtATime(queries, options);
+    }
+
+    const items = new Array(queries.length);
+    // The `{ index, type, payload }` of the items we need to send, where
+    // `index` is the item's index in `queries` and references in `payload`
+    // have been rewritten to index into `toSend`.
+    const toSend = [];
+    const sentIndexOf = new Map();
+    for (let i = 0; i < queries.length; i++) {
+      const { type, payload } = queries[i];
+      try {
+        const refs = Array.from(findBatchRefs(payload));
+        if (refs.some(ref => !(ref >= 0 && ref < i))) {
+          throw new Error(`batchQuery item ${i} can only reference earlier items`);
+        }
+        if (refs.some(ref => items[ref]?.error)) {
+          throw new Error(`batchQuery item ${i} references a failed item`);
+        }
+        if (refs.some(ref => sentIndexOf.has(ref))) {
+          sentIndexOf.set(i, toSend.length);
+          toSend.push({
+            index: i,
+            type,
+            payload: mapBatchRefs(payload, (ref) => {
+              if (sentIndexOf.has(ref.$ref)) {
+                return Object.assign({}, ref, { $ref: sentIndexOf.get(ref.$ref) });
+              }
+              return resolveBatchRefs(ref, () => items[ref.$ref].result);
+            }),
+          });
+          continue;
+        }
+
+        const resolved = resolveBatchRefs(payload, ref => items[ref].result);
+        const cached = await this._lookupCached(type, resolved);
+        if (cached) {
+          items[i] = { result: cached, extra: undefined };
+        } else {
+          sentIndexOf.set(i, toSend.length);
+          toSend.push({ index: i, type, payload: resolved });
+        }
+      } catch (ex) {
+        items[i] = {
+          error: new BridgeRemoteError(serializeError(ex, { payload })),
+        };
+      }
+    }
+
+    if (toSend.length) {
+      const replyItems = await this.sendMessageAwaitingReply(
+        'batchQuery',
+        { queries: toSend.map(({ type, payload }) => ({ type, payload })) },
+        options);
+      const results = replyItems.map(({ result }) => this._normalizeReceivedPayload(result));
+      for (let j = 0; j < toSend.length; j++) {
+        const { index, type, payload } = toSend[j];
+        const { extra, error } = replyItems[j];
+        if (error) {
+          items[index] = { error: new BridgeRemoteError(error) };
+          continue;
+        }
+        items[index] = { result: results[j], extra };
+        // The item succeeded, so anything it referenced did too and we can key
+        // the cache on the payload the server actually ran.
+        try {
+          await this._storeCached(
+            type, resolveBatchRefs(payload, ref => results[ref]), results[j], extra);
+        } catch (ex) {
+          console.warn("Problem caching batchQuery item", ex);
+        }
+      }
+    }
+    return items;
   }
 
-  onMsg_helloThisIsServer(statusReport) {
-    this.onMsg_statusReport(statusReport.status);
+  async #batchQueryOneAtATime(queries, options) {
+    const items = [];
+    for (const { type, payload } of queries) {
+      try {
+        const resolved = resolveBatchRefs(payload, (ref) => {
+          if (!items[ref] || items[ref].error) {
+            throw new Error('batchQuery item references a failed or later item');
+          }
+          return items[ref].result;
+        });
+        const [result, extra] = await this.sendMessageAwaitingReply(
+          type, resolved, Object.assign({}, options, { withExtra: true }));
+        items.push({ result, extra });
+      } catch (ex) {
+        if (options.signal?.aborted) {
+          throw ex;
+        }
+        items.push({
+          error: ex instanceof BridgeRemoteError ? ex :
+            new BridgeRemoteError(serializeError(ex, { payload })),
+        });
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Returns true if the server has told us it supports the given capability
+   * from `protocol.js`.  We optimistically assume everything is supported until
+   * we've heard from the server.
+   */
+  hasCapability(name) {
+    return !this.capabilities || this.capabilities.has(name);
+  }
+
+  /**
+   * Ask pernosco to seek to the given focus.  `annotation` can be PML or a
+   * plain string describing why we're there, which pernosco uses for the
+   * tentative notebook entry it shows for the current moment.
+   */
+  setFocus(focus, { annotation } = {}) {
+    if (!this.hasCapability('focus')) {
+      console.warn("Server can't set focus, ignoring request for", focus);
+      return;
+    }
+    if (typeof(annotation) === 'string') {
+      annotation = { t: 'str', c: [annotation] };
+    }
+    this.sendMessage('focus', { focus, annotation });
+  }
+
+  /**
+   * Fetch `{ url, text }` for the given source URL; see
+   * `ContentScriptServer.onMsg_source`.
+   */
+  fetchSource(url) {
+    if (!this.hasCapability('sourceText')) {
+      return Promise.reject(new Error("Server can't provide source text"));
+    }
+    let promise = this.sources.get(url);
+    if (!promise) {
+      promise = this.sendMessageAwaitingReply('source', { url });
+      // Don't hold onto failures so that we can try again.
+      promise.catch(() => this.sources.delete(url));
+      this.sources.set(url, promise);
+    }
+    return promise;
+  }
+
+  onMsg_helloThisIsServer({
+    status, connection, protocolVersion, capabilities, details
+  }) {
+    // Servers from before the handshake existed didn't report anything, so
+    // treat them as version 0 with no known capabilities.
+    this.capabilities = new Set(capabilities || []);
+    const missing = ALL_CAPABILITIES.filter(name => !this.capabilities.has(name));
+    this.compatibility = {
+      protocolVersion: protocolVersion || 0,
+      versionMatches: protocolVersion === BRIDGE_PROTOCOL_VERSION,
+      missing,
+      missingDescriptions: missing.map(name => CAPABILITY_DESCRIPTIONS[name]),
+      details: details || {},
+    };
+    console.log("Server compatibility:", this.compatibility);
+    if (this.onCompatibility) {
+      this.onCompatibility(this.compatibility);
+    }
+
+    this.onMsg_statusReport(status);
+    if (connection) {
+      this.onMsg_connectionState(connection);
+    }
+
+    if (this.hasCapability('storage')) {
+      this.refreshNotebook().catch((ex) => {
+        console.warn("Problem getting the notebook snapshot", ex);
+      });
+    }
+  }
+
+  /**
+   * Re-initialize our notebook mirror from the server's current notebook.
+   */
+  async refreshNotebook() {
+    const entries = await this.sendMessageAwaitingReply('notebookSnapshot', {});
+    this.notebook.applySnapshot(entries);
+  }
+
+  /**
+   * Add a notebook entry with the given text at `focus` in the pernosco
+   * notebook, resolving with its key.  Our mirror will hear about it via the
+   * resulting "notebookUpdate".
+   */
+  async addNotebookEntry(focus, text, { ordering } = {}) {
+    if (!this.hasCapability('notebookWrite')) {
+      throw new Error("The pernosco tab can't add notebook entries");
+    }
+    const { key } = await this.sendMessageAwaitingReply(
+      'addNotebookEntry', { focus, text, ordering });
+    return key;
+  }
+
+  async removeNotebookEntry(key) {
+    if (!this.hasCapability('notebookWrite')) {
+      throw new Error("The pernosco tab can't remove notebook entries");
+    }
+    await this.sendMessageAwaitingReply('removeNotebookEntry', { key });
+  }
+
+  onMsg_notebookUpdate({ updates }) {
+    this.notebook.applyUpdates(updates);
+  }
+
+  /**
+   * Highlight the given moment in pernosco with `color`, replacing any
+   * existing highlight of the moment, or remove the highlight if `color` is
+   * null.
+   */
+  setUserHighlight(moment, color) {
+    if (!this.hasCapability('highlights')) {
+      throw new Error("The pernosco tab can't change highlights");
+    }
+    const before = this.highlights.get(highlightKey(moment)) || null;
+    const after = color ? { moment, color } : null;
+    if (before || after) {
+      this.sendMessage('changeUserHighlight', { before, after });
+    }
+  }
+
+  onMsg_userHighlight({ before, after }) {
+    if (before) {
+      this.highlights.delete(highlightKey(before.moment));
+    }
+    if (after) {
+      this.highlights.set(highlightKey(after.moment), after);
+    }
+    if (this.onHighlightsChange) {
+      this.onHighlightsChange(this.highlights);
+    }
+  }
+
+  /**
+   * Sent by the background page when the session is over, such as because the
+   * pernosco tab was closed.  It will disconnect us next and there's no point
+   * trying to reconnect.
+   */
+  onMsg_sessionEnded() {
+    this.transport.stopReconnecting?.();
+  }
+
+  /**
+   * Sent by the background page for the searchfox "Uses diagram" and "Calls
+   * diagram" context menus.
+   */
+  onMsg_showDiagram(request) {
+    if (this.onShowDiagram) {
+      this.onShowDiagram(request);
+    }
+  }
+
+  /**
+   * Sent by the background page for the spec "Show executions of the
+   * implementation" context menu.  `symbols` are candidates, most likely first.
+   */
+  onMsg_showImplementationExecutions(request) {
+    if (this.onShowImplementationExecutions) {
+      this.onShowImplementationExecutions(request);
+    }
+  }
+
+  onMsg_connectionState(connectionState) {
+    this.connectionState = connectionState;
+    if (this.onConnectionState) {
+      this.onConnectionState(connectionState);
+    }
   }
 
   onMsg_statusReport(statusReport) {
@@ -0,0 +1,84 @@
+/**
+ * Browser-style back/forward history of the focuses the bridge UI has asked
+ * pernosco to seek to.  Focus changes made within pernosco itself aren't
+ * tracked as they happen since we only hear about them as status reports
+ * without any context to label them with, but the focus we jump away from is
+ * recorded so that going back can return to it.
+ */
+
+import { cmpMoment } from '../pmlgrok/utils.js';
+
+const DEFAULT_MAX_ENTRIES = 50;
+
+export class FocusHistory {
+  /**
+   * `onChange(history)` is invoked whenever the entries or our position in
+   * them change.
+   */
+  constructor({ onChange = null, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.onChange = onChange;
+    this.maxEntries = maxEntries;
+    // List of `{ focus, label, when }` in the order they were visited.
+    this.entries = [];
+    // Index into `entries` of the current focus, -1 if there isn't one.
+    this.index = -1;
+  }
+
+  get current() {
+    return this.entries[this.index] || null;
+  }
+
+  get canGoBack() {
+    return this.index > 0;
+  }
+
+  get canGoForward() {
+    return this.index < this.entries.length - 1;
+  }
+
+  /**
+   * Record a new jump, discarding anything we could have gone forward to.
+   * `fromFocus` is the focus we're jumping from, if known.  If it isn't the
+   * current entry (ex: it's where we started or the user has since moved
+   * around within pernosco), it's recorded first under `fromLabel`.
+   */
+  push(focus, label, { fromFocus = null, fromLabel = null } = {}) {
+    this.entries.splice(this.index + 1);
+    if (fromFocus?.moment &&
+        !(this.current?.focus?.moment &&
+          cmpMoment(this.current.focus.moment, fromFocus.moment) === 0)) {
+      this.entries.push({
+        focus: fromFocus,
+        label: fromLabel || `Event ${fromFocus.moment.event}`,
+        when: Date.now(),
+      });
+    }
+    this.entries.push({ focus, label, when: Date.now() });
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+    this.index = this.entries.length - 1;
+    this.onChange?.(this);
+  }
+
+  /**
+   * Move to the given index, returning its entry or null if it's out of range.
+   * The caller is responsible for actually setting the focus.
+   */
+  goTo(index) {
+    if (index < 0 || index >= this.entries.length) {
+      return null;
+    }
+    this.index = index;
+    this.onChange?.(this);
+    return this.entries[index];
+  }
+
+  back() {
+    return this.canGoBack ? this.goTo(this.index - 1) : null;
+  }
+
+  forward() {
+    return this.canGoForward ? this.goTo(this.index + 1) : null;
+  }
+}
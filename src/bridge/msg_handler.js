@@ -1,38 +1,104 @@
 /**
- * Simplified typed message support with async waiting for replies.  Assumes
- * use of the webext [runtime.Port](https://developer.mozilla.org/en-US/docs/Mozilla/Add-ons/WebExtensions/API/runtime/Port)
+ * Error used to reject `sendMessageAwaitingReply` callers whose request timed
+ * out or was aborted via its AbortSignal.  `reason` is one of "timeout" or
+ * "aborted".
+ */
+export class RequestCancelledError extends Error {
+  constructor(reason, { type, name } = {}) {
+    const what = name ? `${type} "${name}"` : type;
+    super(`${what} request ${reason === 'timeout' ? 'timed out' : 'was cancelled'}`);
+    this.name = 'RequestCancelledError';
+    this.reason = reason;
+    this.type = type;
+    this.queryName = name;
+  }
+}
+
+/**
+ * Error used to reject `sendMessageAwaitingReply` callers when the handler on
+ * the other side threw or rejected.  The remote error's details are propagated
+ * via the `{ type: 'reply', error: { name, message, stack, queryName } }`
+ * envelope; `remoteName` and `remoteStack` preserve the original name and stack
+ * since our own will just point at the message handler.
+ */
+export class BridgeRemoteError extends Error {
+  constructor({ name, message, stack, queryName }) {
+    super(message);
+    this.name = 'BridgeRemoteError';
+    this.remoteName = name;
+    this.remoteStack = stack;
+    this.queryName = queryName;
+  }
+}
+
+/**
+ * Convert something thrown by an `onMsg_*` handler into the structured-clone
+ * friendly error envelope.  Handlers aren't guaranteed to throw Error
+ * instances (pernosco callbacks have historically rejected with strings), so
+ * we're defensive here.  Also used for the per-item errors of "batchQuery".
+ */
+export function serializeError(ex, msg) {
+  return {
+    name: ex?.name || 'Error',
+    message: ex?.message || String(ex),
+    stack: ex?.stack || null,
+    queryName: msg?.payload?.name || null,
+  };
+}
+
+/**
+ * Simplified typed message support with async waiting for replies.  Messages
+ * are moved around by a pluggable transport from `transports.js`.  In the
+ * extension that's the webext [runtime.Port](https://developer.mozilla.org/en-US/docs/Mozilla/Add-ons/WebExtensions/API/runtime/Port)
  * API where content script pages cannot directly communicate but instead must
  * route all messages through the background page/script where the background
- * script is responsible for establishing any pairwise connections.
+ * script is responsible for establishing any pairwise connections.  But a
+ * MessagePort, WebSocket or in-memory pair work just as well.
  *
  * This started out assuming BroadcastChannel and then was simplified,
  * justifying any and all weirdness.
+ *
+ * Requests made via `sendMessageAwaitingReply` can be given a timeout and/or an
+ * AbortSignal.  When either fires, we reject the caller with a
+ * `RequestCancelledError` and send a "cancel" message referencing the replyId
+ * so that the other side can stop doing work on our behalf.  (If the request
+ * was still sitting in our queue waiting for a port, we just drop it.)
  */
 export class MessageHandler {
   #nextId;
   #awaitingReplyPromises;
   #awaitingPortQueue;
   #cacheHelper;
+  #defaultTimeoutMs;
+  #recorder;
 
-  constructor(roleType, { cacheHelper }) {
+  constructor(roleType, { transport, cacheHelper, requestTimeoutMs = null }) {
     this.roleType = roleType;
     this.#nextId = 1;
     this.#awaitingReplyPromises = new Map();
     this.#awaitingPortQueue = [];
     this.#cacheHelper = cacheHelper;
-
-    this.port = null;
+    this.#defaultTimeoutMs = requestTimeoutMs;
+    this.#recorder = null;
+
+    this.connected = false;
+    this.transport = transport;
+    transport.start({
+      onConnect: () => this.#onTransportConnect(),
+      onMessage: (msg) => this._onMessage(msg),
+      onDisconnect: () => this._onPortDisconnect(),
+    });
   }
 
-  setPort(port) {
-    this.port = port;
+  #onTransportConnect() {
+    this.connected = true;
 
     let queue = this.#awaitingPortQueue;
     this.#awaitingPortQueue = null;
 
-    // queue may be null if this is not the first server we've heard of.  If
-    // we were fancier, we might listen for a server to say it's going away
-    // and then restore the queue.  And/or allow for unreliable delivery.
+    // queue will have been restored by `_onPortDisconnect` if we previously had
+    // a port, in which case it also contains all the requests that were still
+    // awaiting a reply from the other side of the old port.
     if (queue) {
       for (let { type, payload, replyId } of queue) {
         if (replyId) {
@@ -42,10 +108,35 @@ export class MessageHandler {
         }
       }
     }
+
+    if ("onConnect" in this) {
+      this.onConnect();
+    }
+  }
+
+  /**
+   * Invoked by the transport when its connection goes away.  We restore the
+   * port queue so that messages sent in the interim are queued, and we move all
+   * requests still awaiting a reply into it so that they will be replayed once
+   * the transport reconnects.  (Whatever is on the other side of the new
+   * connection won't know anything about the requests sent over the old one.)
+   */
+  _onPortDisconnect() {
+    if (!this.connected) {
+      return;
+    }
+    this.connected = false;
+    const queue = this.#awaitingPortQueue = [];
+    for (const [replyId, awaiting] of this.#awaitingReplyPromises) {
+      const { type, payload } = awaiting;
+      // The replayed request will start streaming over from scratch.
+      awaiting.partials &&= [];
+      queue.push({ type, payload, replyId });
+    }
   }
 
   sendMessage(type, payload) {
-    if (!this.port) {
+    if (!this.connected) {
       console.log("queueing sendMessage", type, payload);
       this.#awaitingPortQueue.push({ type, payload, replyId: null });
       return;
@@ -60,17 +151,43 @@ export class MessageHandler {
     });
   }
 
-  async sendMessageAwaitingReply(type, payload) {
-    if (this.#cacheHelper) {
-      const maybeResult = await this.#cacheHelper.lookup(this, type, payload);
-      if (maybeResult) {
-        console.log("using cached result", maybeResult);
-        return maybeResult;
-      } else if (maybeResult === undefined) {
-        console.log("query was not cacheable");
-      } else if (maybeResult === null) {
-        console.log("query cache miss");
-      }
+  /**
+   * Send a message and wait for the other side to reply.  Options:
+   * - signal: An AbortSignal which, when aborted, cancels the request.
+   * - timeoutMs: Cancel the request if no reply has been received after this
+   *   many milliseconds.  Defaults to the `requestTimeoutMs` the handler was
+   *   created with; pass 0 to explicitly disable the timeout.
+   * - onPartial: Invoked with the (un-normalized) payload and message of any
+   *   partial replies the other side sends via `reply.sendPartial` before the
+   *   actual reply.  Note that results served from the cache will not
+   *   generate any partial replies.  When using `assembleStreamed`, the payload
+   *   is also kept for that and must not be mutated.
+   * - assembleStreamed: If the reply's `extra` has `streamed: true`, the other
+   *   side only sent the results as partial replies, and we invoke
+   *   `assembleStreamed(partialPayloads, extra)` to assemble the (raw,
+   *   un-normalized) result out of the partial payloads.
+   * - withExtra: Resolve with `[result, extra]` rather than just the result.
+   *   `extra` will be undefined for results served from the cache.
+   * - skipCacheLookup: Don't check the cache because the caller already did.
+   *   The result is still cached.
+   *
+   * Cancelled requests reject with a `RequestCancelledError`.
+   */
+  async sendMessageAwaitingReply(type, payload, {
+    signal, timeoutMs, onPartial, assembleStreamed, withExtra, skipCacheLookup
+  } = {}) {
+    if (signal?.aborted) {
+      throw new RequestCancelledError('aborted', { type, name: payload?.name });
+    }
+
+    const maybeResult = !skipCacheLookup && await this._lookupCached(type, payload);
+    if (maybeResult) {
+      return withExtra ? [maybeResult, undefined] : maybeResult;
+    }
+
+    // The cache lookup was async, so the signal could have fired since.
+    if (signal?.aborted) {
+      throw new RequestCancelledError('aborted', { type, name: payload?.name });
     }
 
     const replyId = `reply${this.#nextId++}`;
@@ -81,17 +198,112 @@ export class MessageHandler {
       reject = _reject;
     });
 
-    this.#awaitingReplyPromises.set(replyId, { resolve, reject });
+    const recorded = this.#recorder?.recordRequest(type, payload) || null;
+    this.#awaitingReplyPromises.set(replyId, {
+      resolve, reject, type, payload, onPartial, recorded,
+      assembleStreamed, partials: assembleStreamed ? [] : null,
+    });
+
+    const cancel = (reason) => {
+      // Nothing to do if the reply already arrived.
+      if (!this.#awaitingReplyPromises.has(replyId)) {
+        return;
+      }
+      this.#awaitingReplyPromises.delete(replyId);
+      // Only bother the other side if the request actually made it out.
+      if (!this.#removeQueuedRequest(replyId)) {
+        this.sendMessage('cancel', { replyId });
+      }
+      reject(new RequestCancelledError(reason, { type, name: payload?.name }));
+    };
+
+    const useTimeoutMs = timeoutMs ?? this.#defaultTimeoutMs;
+    let timeoutId = null;
+    if (useTimeoutMs) {
+      timeoutId = setTimeout(() => cancel('timeout'), useTimeoutMs);
+    }
+    const onAbort = () => cancel('aborted');
+    signal?.addEventListener('abort', onAbort);
+
     this._sendMessageAwaitingReply(type, payload, replyId);
 
-    const [result, extra] = await promise;
-    if (this.#cacheHelper) {
-      // We await this to allow the cacheHelper to have the flexibility to delay
-      // things if it has a really good reason, but ideally it shouldn't.
-      const stored = await this.#cacheHelper.store(this, type, payload, result, extra);
-      console.log("result of trying to cache the result:", stored);
+    let result, extra;
+    try {
+      [result, extra] = await promise;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+    // We await this to allow the cacheHelper to have the flexibility to delay
+    // things if it has a really good reason, but ideally it shouldn't.
+    await this._storeCached(type, payload, result, extra);
+    return withExtra ? [result, extra] : result;
+  }
+
+  /**
+   * Check the cache helper (if we have one) for a result for the given request,
+   * with the same `undefined` for uncacheable and `null` for cache miss
+   * semantics as `IDBCacheHelper.lookup`.  This is exposed for subclasses that
+   * synthesize results out of multiple requests, like `rangeQueryAll`.
+   */
+  async _lookupCached(type, payload) {
+    if (!this.#cacheHelper || this.#recorder) {
+      return undefined;
     }
-    return result;
+    const maybeResult = await this.#cacheHelper.lookup(this, type, payload);
+    if (maybeResult) {
+      console.log("using cached result", maybeResult);
+    } else if (maybeResult === undefined) {
+      console.log("query was not cacheable");
+    } else if (maybeResult === null) {
+      console.log("query cache miss");
+    }
+    return maybeResult;
+  }
+
+  async _storeCached(type, payload, result, extra) {
+    if (!this.#cacheHelper) {
+      return false;
+    }
+    const stored = await this.#cacheHelper.store(this, type, payload, result, extra);
+    console.log("result of trying to cache the result:", stored);
+    return stored;
+  }
+
+  /**
+   * Start recording requests and replies to the given `SessionRecorder`.
+   * While recording, the cache is bypassed so that the recording captures
+   * everything the session actually needed from the server.
+   */
+  startRecording(recorder) {
+    this.#recorder = recorder;
+  }
+
+  /**
+   * Stop recording, returning the recorder (if any).
+   */
+  stopRecording() {
+    const recorder = this.#recorder;
+    this.#recorder = null;
+    return recorder;
+  }
+
+  get recording() {
+    return !!this.#recorder;
+  }
+
+  /**
+   * Shut down the transport for good.  Requests still awaiting replies are left
+   * hanging (subject to their timeouts).
+   */
+  close() {
+    this._onPortDisconnect();
+    this.transport.close();
+  }
+
+  _postMessage(msg) {
+    console.log("posting", msg);
+    this.transport.postMessage(msg);
   }
 
   // This is a hook to allow for normalization of PML responses, in particular,
@@ -100,8 +312,23 @@ export class MessageHandler {
     return payload;
   }
 
+  // Remove a not-yet-sent request from the port queue, returning true if it was
+  // found there.
+  #removeQueuedRequest(replyId) {
+    const queue = this.#awaitingPortQueue;
+    if (!queue) {
+      return false;
+    }
+    const idx = queue.findIndex(entry => entry.replyId === replyId);
+    if (idx === -1) {
+      return false;
+    }
+    queue.splice(idx, 1);
+    return true;
+  }
+
   _sendMessageAwaitingReply(type, payload, replyId) {
-    if (!this.port) {
+    if (!this.connected) {
       this.#awaitingPortQueue.push({ type, payload, replyId });
       return;
     }
@@ -118,24 +345,57 @@ export class MessageHandler {
 
   _onMessage(msg) {
     console.log("received message", msg);
+    this.#recorder?.noteReceivedMessage(msg);
+
+    // Partial replies are tagged with the replyId of the request they're for
+    // via `inReplyTo`, and don't complete the request.
+    if (msg?.inReplyTo) {
+      const awaiting = this.#awaitingReplyPromises.get(msg.inReplyTo);
+      awaiting?.partials?.push(msg.payload);
+      if (awaiting?.onPartial) {
+        awaiting.onPartial(msg.payload, msg);
+      }
+      return;
+    }
 
     if (msg?.type === 'reply') {
       if (!this.#awaitingReplyPromises.has(msg.msgId)) {
         return;
       }
-      const { resolve } = this.#awaitingReplyPromises.get(msg.msgId);
+      const { resolve, reject, recorded, assembleStreamed, partials } =
+        this.#awaitingReplyPromises.get(msg.msgId);
 
-      resolve([this._normalizeReceivedPayload(msg.payload), msg.extra]);
+      if (msg.error) {
+        if (recorded) {
+          this.#recorder?.recordError(recorded, msg.error);
+        }
+        reject(new BridgeRemoteError(msg.error));
+      } else {
+        let payload = msg.payload;
+        if (msg.extra?.streamed && assembleStreamed) {
+          payload = assembleStreamed(partials, msg.extra);
+        }
+        if (recorded) {
+          this.#recorder?.recordReply(recorded, payload, msg.extra);
+        }
+        resolve([this._normalizeReceivedPayload(payload), msg.extra]);
+      }
       this.#awaitingReplyPromises.delete(msg.msgId);
       return;
     }
 
     const lookupName = `onMsg_${msg.type}`;
 
-    let replyFunc;
+    let replyFunc, replyErrorFunc;
     if ('replyId' in msg) {
       const replyId = msg.replyId;
       replyFunc = (payload, extra) => {
+        // If our connection went away while we were processing the request, the
+        // requester is gone too.
+        if (!this.connected) {
+          console.log("dropping reply for lost port", replyId);
+          return;
+        }
         this._postMessage({
           type: 'reply',
           msgId: replyId,
@@ -143,6 +403,30 @@ export class MessageHandler {
           extra,
         });
       };
+      // Handlers that can produce results incrementally can send them ahead
+      // of the actual reply.
+      replyFunc.sendPartial = (type, payload) => {
+        if (!this.connected) {
+          return;
+        }
+        this._postMessage({
+          type,
+          msgId: `msg${this.#nextId++}`,
+          inReplyTo: replyId,
+          payload,
+        });
+      };
+      replyErrorFunc = (ex) => {
+        if (!this.connected) {
+          console.log("dropping error reply for lost port", replyId);
+          return;
+        }
+        this._postMessage({
+          type: 'reply',
+          msgId: replyId,
+          error: serializeError(ex, msg),
+        });
+      };
     }
 
     if (lookupName in this) {
@@ -151,65 +435,20 @@ export class MessageHandler {
         result = this[lookupName](msg.payload, replyFunc, msg);
       } catch (ex) {
         console.error('Error processing message', msg, ex);
+        replyErrorFunc?.(ex);
       }
 
-      // We don't care about the error right now, but if the thing was an
-      // async function, we do want to add a catch handler to report an async
-      // failure.
+      // If the thing was an async function, we also want to report an async
+      // failure, including to the sender if they're waiting on a reply.
       if (result && result.then) {
         result.catch((ex) => {
           console.error('Async error processing message', msg, ex);
+          replyErrorFunc?.(ex);
         });
       }
+    } else if (replyErrorFunc) {
+      // Don't leave the sender hanging if there's no one here to answer.
+      replyErrorFunc(new Error(`No handler for message type: ${msg.type}`));
     }
   }
 }
-
-/**
- * MessageHandler that waits for a connection.
- */
-export class RuntimeConnectListeningHandler extends MessageHandler {
-  constructor(roleType, options) {
-    super(roleType, options);
-
-    browser.runtime.onConnect.addListener(this.#onConnect.bind(this))
-  }
-
-  #onConnect(port) {
-    console.log("Port connection received.");
-    this.setPort(port);
-    port.onMessage.addListener(this._onMessage.bind(this));
-
-    if ("onConnect" in this) {
-      this.onConnect();
-    }
-  }
-
-  _postMessage(msg) {
-    console.log("posting", msg);
-    this.port.postMessage(msg);
-  }
-}
-
-/**
- * MessageHandler that initiates a connection to the background page.
- */
-export class RuntimeConnectIssuingHandler extends MessageHandler {
-  constructor(roleType, name, options) {
-    super(roleType, options);
-
-    console.log("Opening port with name:", name);
-    const port = browser.runtime.connect({ name });
-    this.setPort(port);
-    port.onMessage.addListener(this._onMessage.bind(this));
-
-    if ("onConnect" in this) {
-      this.onConnect();
-    }
-  }
-
-  _postMessage(msg) {
-    console.log("posting", msg);
-    this.port.postMessage(msg);
-  }
-}
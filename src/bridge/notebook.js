@@ -0,0 +1,92 @@
+/**
+ * Client-side mirror of the pernosco notebook.  The notebook lives in
+ * pernosco's key/value storage under "notebook/"-prefixed keys; see
+ * `BridgeHelperView.updateStorage` in `index-inject.js` for the record format.
+ * The server sends us a snapshot when we connect and then forwards the
+ * create/delete updates pernosco tells it about as "notebookUpdate" messages.
+ */
+
+import { cmpMoment } from '../pmlgrok/utils.js';
+
+export const NOTEBOOK_KEY_PREFIX = 'notebook/';
+
+export function isNotebookKey(key) {
+  return typeof(key) === 'string' && key.startsWith(NOTEBOOK_KEY_PREFIX);
+}
+
+function cmpNotebookEntries(a, b) {
+  const momentDelta = cmpMoment(a.value.focus.moment, b.value.focus.moment);
+  if (momentDelta) {
+    return momentDelta;
+  }
+  return (a.value.ordering || 0) - (b.value.ordering || 0);
+}
+
+export class NotebookMirror {
+  /**
+   * `onChange(mirror)` is invoked whenever the contents change.
+   */
+  constructor({ onChange = null } = {}) {
+    this.onChange = onChange;
+    // Map from storage key to `{ key, created, creator, value }`.
+    this.entries = new Map();
+  }
+
+  /**
+   * Replace our contents with a snapshot list of `{ key, created, creator,
+   * value }` entries.
+   */
+  applySnapshot(entries) {
+    this.entries.clear();
+    for (const entry of entries) {
+      this.#addEntry(entry);
+    }
+    this.onChange?.(this);
+  }
+
+  /**
+   * Apply the `{ create }` / `{ deleted }` updates from a "notebookUpdate".
+   */
+  applyUpdates(updates) {
+    for (const update of updates) {
+      if (update.create) {
+        this.#addEntry(update.create);
+      } else if (update.deleted) {
+        this.entries.delete(update.deleted.key);
+      }
+    }
+    this.onChange?.(this);
+  }
+
+  #addEntry(entry) {
+    // We only care about entries that have a place in the trace.
+    if (isNotebookKey(entry.key) && entry.value?.focus?.moment) {
+      this.entries.set(entry.key, entry);
+    }
+  }
+
+  /**
+   * All entries ordered by their focus moment and then their `ordering`.
+   */
+  sortedEntries() {
+    return Array.from(this.entries.values()).sort(cmpNotebookEntries);
+  }
+
+  /**
+   * Group the sorted entries by focus moment, returning a list of
+   * `{ moment, focus, entries }` where `focus` is that of the first entry.
+   */
+  groupByMoment() {
+    const groups = [];
+    let group = null;
+    for (const entry of this.sortedEntries()) {
+      const moment = entry.value.focus.moment;
+      if (!group || cmpMoment(group.moment, moment) !== 0) {
+        group = { moment, focus: entry.value.focus, entries: [] };
+        groups.push(group);
+      }
+      group.entries.push(entry);
+    }
+    return groups;
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Definitions shared by `BridgeServer` and `BridgeClient` so they can figure out
+ * whether they can actually work together.
+ *
+ * The server lives in the pernosco tab and depends on pernosco client
+ * internals that can change out from under us at any time.  Rather than
+ * breaking in confusing ways, the server probes the internals it depends on
+ * and reports what works as a list of capabilities in its
+ * `helloThisIsServer` message, along with the protocol version.
+ **/
+
+// Bump this whenever a change to the messages would break an older client or
+// server.
+export const BRIDGE_PROTOCOL_VERSION = 1;
+
+/**
+ * All of the capabilities a server may report, and what they depend on.
+ */
+export const CAPABILITY_DESCRIPTIONS = {
+  // `Client.openQuery` and `Client.cancelQuery`; pretty much everything needs
+  // this.
+  query: 'Running queries',
+  // The "batchQuery" message, which only depends on `query` but which older
+  // servers don't understand.
+  batchQuery: 'Batched queries',
+  // `Client.setFocus` and `Client.willSetFocus`.
+  focus: 'Seeking pernosco to a focus',
+  // `Client.requestSource` and `SourceText.originalTextPositionToClientTextReference`,
+  // which we use to convert line/column pairs into pernosco's offsets for
+  // breakpoint queries and evaluations.
+  sourcePositions: 'Source line/column mapping',
+  // `SourceText.text`, which we assume holds the full source, for the
+  // "source" message.
+  sourceText: 'Fetching source text',
+  // `Client.storageData`.
+  storage: 'Notebook storage',
+  // `Client.updateStorage`, which we assume accepts the same `{ create }` and
+  // `{ deleted }` update records that `View.updateStorage` receives.
+  notebookWrite: 'Adding notebook entries',
+  // `Client.doUserHighlightChange`, which is how the notebook's "Display this
+  // event in other views" color boxes create highlights.
+  highlights: 'Creating highlights',
+  // `Client.addView` and the View interface `BridgeHelperView` duck-types,
+  // which is how we learn about focus changes.
+  statusReports: 'Focus change notifications',
+};
+
+export const ALL_CAPABILITIES = Object.keys(CAPABILITY_DESCRIPTIONS);
+
+// Default cap on the number of rows `BridgeClient.rangeQueryAll` will
+// accumulate, which is also the most the analyzer is willing to retrieve for
+// any single traced method.
+export const DEFAULT_RANGE_QUERY_ALL_MAX_ROWS = 5000;
+
+// Payload fields that control how results are delivered rather than what the
+// results are.
+const DELIVERY_PAYLOAD_KEYS = new Set(['stream']);
+
+/**
+ * JSON.stringify with sorted object keys so that equivalent payloads always
+ * produce the same string.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof(value) === 'object') {
+    const parts = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${parts.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Derive a string key identifying the results a request would produce, ignoring
+ * how they're delivered.  This doesn't include the focus moment, which requests
+ * can depend on implicitly; see `requestFocusMoment`.
+ */
+export function requestKey(type, payload) {
+  const filtered = {};
+  for (const [key, value] of Object.entries(payload || {})) {
+    if (!DELIVERY_PAYLOAD_KEYS.has(key)) {
+      filtered[key] = value;
+    }
+  }
+  return `${type}:${stableStringify(filtered)}`;
+}
+
+/**
+ * The moment that a request is explicitly or implicitly relative to; this is
+ * the same logic `IDBCacheHelper` uses for its naming keys.
+ */
+export function requestFocusMoment(payload, statusReport) {
+  return payload?.mixArgs?.focus?.moment || statusReport?.focus?.moment || null;
+}
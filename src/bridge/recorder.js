@@ -0,0 +1,129 @@
+/**
+ * Record-and-replay support for pernosco query traffic.  A `SessionRecorder`
+ * attached to a `MessageHandler` via `startRecording` captures every query
+ * request along with its reply and `extra`, plus the stream of status reports,
+ * into a JSON-friendly archive.  `ReplayServer` (see `replay.js`) can then
+ * answer queries from that archive without pernosco, which allows reproducing
+ * analyzer and grokker behavior offline, attaching sessions to bug reports, and
+ * building regression fixtures out of real pernosco output.
+ *
+ * Exchanges are looked up during replay by `requestKey` and the focus moment
+ * from `requestFocusMoment`.
+ */
+
+import { requestFocusMoment } from './protocol.js';
+
+export const ARCHIVE_FORMAT = 'mozsearch-bridge-session';
+export const ARCHIVE_VERSION = 1;
+
+// Only queries are worth recording; things like "focus" are replayed by the
+// ReplayServer synthesizing status reports.
+const RECORDED_REQUEST_TYPES = new Set(['rangeQuery', 'simpleQuery', 'batchQuery']);
+
+export class SessionRecorder {
+  constructor({ traceName }) {
+    this.traceName = traceName;
+    this.startedAt = Date.now();
+    this.exchanges = [];
+    this.statusReports = [];
+    this.latestStatusReport = null;
+  }
+
+  /**
+   * Called by `MessageHandler` for every request awaiting a reply.  Returns the
+   * exchange to later pass to `recordReply`/`recordError`, or null if we're not
+   * interested in this type of request.
+   */
+  recordRequest(type, payload) {
+    if (!RECORDED_REQUEST_TYPES.has(type)) {
+      return null;
+    }
+    const exchange = {
+      type,
+      payload,
+      focusMoment: requestFocusMoment(payload, this.latestStatusReport),
+      sentAt: Date.now(),
+      receivedAt: null,
+      result: null,
+      extra: null,
+      error: null,
+    };
+    this.exchanges.push(exchange);
+    return exchange;
+  }
+
+  /**
+   * Record the reply to a request.  `result` should be the payload as received
+   * from the server, prior to normalization, so that replay can feed it
+   * through normalization exactly like the original was.
+   */
+  recordReply(exchange, result, extra) {
+    exchange.receivedAt = Date.now();
+    exchange.result = result;
+    exchange.extra = extra ?? null;
+  }
+
+  recordError(exchange, error) {
+    exchange.receivedAt = Date.now();
+    exchange.error = error;
+  }
+
+  /**
+   * Called by `MessageHandler` for every received message so that we can pick
+   * out status information.
+   */
+  noteReceivedMessage(msg) {
+    let status;
+    if (msg.type === 'statusReport' && !msg.inReplyTo) {
+      status = msg.payload;
+    } else if (msg.type === 'helloThisIsServer') {
+      status = msg.payload?.status;
+    }
+    if (status) {
+      this.latestStatusReport = status;
+      this.statusReports.push({ receivedAt: Date.now(), status });
+    }
+  }
+
+  toArchive() {
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      traceName: this.traceName,
+      startedAt: this.startedAt,
+      // Requests that never got a reply aren't useful for replay.
+      exchanges: this.exchanges.filter(exchange => exchange.receivedAt),
+      statusReports: this.statusReports,
+    };
+  }
+
+  /**
+   * Trigger a download of the archive from a page context.
+   */
+  download(filename) {
+    const blob = new Blob(
+      [JSON.stringify(this.toArchive())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = filename ||
+      `${this.traceName || 'session'}-${new Date(this.startedAt).toISOString()}.json`;
+    anchor.click();
+    // The click is processed synchronously enough that we can revoke on the
+    // next turn of the event loop.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+/**
+ * Validate a parsed archive, throwing if it's not something we can use.
+ */
+export function checkArchive(archive) {
+  if (archive?.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not a mozsearch-bridge session recording');
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    throw new Error(`Unsupported session recording version: ${archive.version}`);
+  }
+  return archive;
+}
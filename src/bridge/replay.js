@@ -0,0 +1,147 @@
+/**
+ * A stand-in for the pernosco tab's `ContentScriptServer` that answers queries
+ * from a session archive produced by `SessionRecorder`.
+ */
+
+import { cmpMoment } from '../pmlgrok/utils.js';
+import { requestFocusMoment, requestKey } from './protocol.js';
+import { checkArchive } from './recorder.js';
+import { BridgeServer } from './server.js';
+
+export class ReplayServer extends BridgeServer {
+  /**
+   * `options.transport` will usually be one half of
+   * `createInMemoryTransportPair()`.
+   */
+  constructor(archive, options) {
+    super({ roleType: 'replay' }, options);
+
+    this.archive = checkArchive(archive);
+    // Map from `requestKey` to the list of exchanges in recording order.
+    this.exchangesByKey = new Map();
+    for (const exchange of archive.exchanges) {
+      const key = requestKey(exchange.type, exchange.payload);
+      let exchanges = this.exchangesByKey.get(key);
+      if (!exchanges) {
+        exchanges = [];
+        this.exchangesByKey.set(key, exchanges);
+      }
+      exchanges.push(exchange);
+    }
+
+    this.status = archive.statusReports[0]?.status || {};
+  }
+
+  generateStatusReportPayload() {
+    return this.status;
+  }
+
+  async probeCapabilities() {
+    return {
+      capabilities: ['query', 'batchQuery', 'focus', 'statusReports'],
+      details: {
+        replay: {
+          traceName: this.archive.traceName,
+          startedAt: this.archive.startedAt,
+        },
+      },
+    };
+  }
+
+  /**
+   * Find the recorded exchange for a request, preferring one made at the same
+   * focus.  If there isn't one, we fall back to the first recording of the
+   * same request so that things still mostly work if the user moves the focus
+   * around during replay, but we warn since the results may not make sense.
+   */
+  findExchange(type, payload) {
+    const exchanges = this.exchangesByKey.get(requestKey(type, payload));
+    if (!exchanges) {
+      throw new Error(`No recording of ${type} "${payload?.name}"`);
+    }
+    const focusMoment = requestFocusMoment(payload, this.status);
+    const exact = exchanges.find((exchange) => {
+      if (!focusMoment || !exchange.focusMoment) {
+        return focusMoment === exchange.focusMoment;
+      }
+      return cmpMoment(focusMoment, exchange.focusMoment) === 0;
+    });
+    if (exact) {
+      return exact;
+    }
+    console.warn("No recording of", type, payload, "at", focusMoment,
+                 "using the one from", exchanges[0].focusMoment);
+    return exchanges[0];
+  }
+
+  // Like `findExchange` but rethrows the recorded error, if any.
+  findReplayableExchange(type, payload) {
+    const exchange = this.findExchange(type, payload);
+    if (exchange.error) {
+      const err = new Error(exchange.error.message);
+      err.name = exchange.error.name;
+      throw err;
+    }
+    return exchange;
+  }
+
+  sendStatusReport() {
+    this.sendMessage('statusReport', this.generateStatusReportPayload());
+  }
+
+  onMsg_focus({ focus, source, annotation }) {
+    // If the recording has a status report for this moment we can use it to
+    // get the source and annotation right, otherwise we synthesize one.
+    const recorded = this.archive.statusReports.find(
+      ({ status }) => status.focus?.moment && focus?.moment &&
+        cmpMoment(status.focus.moment, focus.moment) === 0);
+    this.status = recorded?.status ||
+      Object.assign({}, this.status, {
+        focus,
+        source: source || this.status.source,
+        annotation: annotation || null,
+      });
+    this.sendStatusReport();
+  }
+
+  onMsg_statusReport({}, reply) {
+    reply(this.generateStatusReportPayload());
+  }
+
+  // Replies are immediate, so there's nothing to cancel.
+  onMsg_cancel() {
+  }
+
+  onMsg_simpleQuery(payload, reply) {
+    const exchange = this.findReplayableExchange('simpleQuery', payload);
+    reply(exchange.result, exchange.extra);
+  }
+
+  /**
+   * Like `ContentScriptServer.onMsg_rangeQuery` we support streaming, sending
+   * the recorded rows as a "before" and an "after" chunk.
+   */
+  onMsg_rangeQuery(payload, reply) {
+    const exchange = this.findReplayableExchange('rangeQuery', payload);
+    const { result, extra } = exchange;
+    if (payload.stream && reply?.sendPartial && extra?.beforeCount !== undefined) {
+      const beforeRows = result.slice(0, extra.beforeCount).reverse();
+      const afterRows = result.slice(extra.beforeCount);
+      if (beforeRows.length) {
+        reply.sendPartial('queryData', { direction: 'before', rows: beforeRows });
+      }
+      if (afterRows.length) {
+        reply.sendPartial('queryData', { direction: 'after', rows: afterRows });
+      }
+      reply(null, Object.assign({}, extra, { streamed: true }));
+      return;
+    }
+    reply(result, extra);
+  }
+
+  // Batches are only replayed as a whole; we don't try and assemble them out
+  // of individually recorded queries.
+  onMsg_batchQuery(payload, reply) {
+    reply(this.findReplayableExchange('batchQuery', payload).result);
+  }
+}
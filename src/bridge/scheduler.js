@@ -0,0 +1,184 @@
+/**
+ * Client-side scheduling of queries so that we don't generate accidental load
+ * against the pernosco servers.  At most `maxInFlight` requests are
+ * outstanding at a time, with the rest queued.  Queued "interactive" requests
+ * (the default; things the user is waiting on) are always started ahead of
+ * queued "bulk" requests (ex: the `Analyzer` working its way through its
+ * traces).
+ *
+ * Requests with the same key that are queued or in flight at the same time are
+ * merged so they share a single underlying request, and thereby also a single
+ * result object, which callers must not mutate.  Each merged caller can still
+ * abort independently; the underlying request is only aborted once every
+ * caller has given up on it.
+ */
+
+import { RequestCancelledError } from './msg_handler.js';
+
+export const PRIORITIES = ['interactive', 'bulk'];
+
+export class RequestScheduler {
+  #queues;
+  #inFlight;
+  #tasksByKey;
+
+  /**
+   * `onQueueChange({ queued, inFlight })` is invoked whenever the number of
+   * queued or in-flight requests changes.
+   */
+  constructor({ maxInFlight = 4, onQueueChange = null } = {}) {
+    this.maxInFlight = maxInFlight;
+    this.onQueueChange = onQueueChange;
+    this.#queues = new Map(PRIORITIES.map(priority => [priority, []]));
+    this.#inFlight = 0;
+    this.#tasksByKey = new Map();
+  }
+
+  get queuedCount() {
+    let count = 0;
+    for (const queue of this.#queues.values()) {
+      count += queue.length;
+    }
+    return count;
+  }
+
+  get inFlightCount() {
+    return this.#inFlight;
+  }
+
+  /**
+   * Schedule `run(signal)`, which should return a promise, resolving with its
+   * result.  `key` identifies requests that can be merged, and can be null if
+   * the request shouldn't be merged with anything.  `signal` is the caller's
+   * optional AbortSignal; `describe` is `{ type, name }` for the
+   * `RequestCancelledError` we reject with when it's aborted.
+   */
+  schedule({ key = null, priority = 'interactive', signal, describe }, run) {
+    if (!this.#queues.has(priority)) {
+      throw new Error(`Unknown request priority: ${priority}`);
+    }
+    if (signal?.aborted) {
+      return Promise.reject(new RequestCancelledError('aborted', describe));
+    }
+
+    let task = key !== null ? this.#tasksByKey.get(key) : null;
+    if (task) {
+      // An interactive request shouldn't be stuck behind the bulk requests just
+      // because a bulk request for the same thing got there first.
+      if (!task.started && priority === 'interactive' && task.priority === 'bulk') {
+        this.#dequeue(task);
+        task.priority = priority;
+        this.#queues.get(priority).push(task);
+      }
+    } else {
+      task = {
+        key,
+        priority,
+        run,
+        started: false,
+        controller: new AbortController(),
+        waiters: new Set(),
+      };
+      if (key !== null) {
+        this.#tasksByKey.set(key, task);
+      }
+      this.#queues.get(priority).push(task);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal, onAbort: null };
+      if (signal) {
+        waiter.onAbort = () => this.#abandon(task, waiter, describe);
+        signal.addEventListener('abort', waiter.onAbort);
+      }
+      task.waiters.add(waiter);
+    });
+
+    this.#pump();
+    this.#reportQueue();
+    return promise;
+  }
+
+  #dequeue(task) {
+    const queue = this.#queues.get(task.priority);
+    const idx = queue.indexOf(task);
+    if (idx !== -1) {
+      queue.splice(idx, 1);
+    }
+  }
+
+  #forget(task) {
+    if (task.key !== null && this.#tasksByKey.get(task.key) === task) {
+      this.#tasksByKey.delete(task.key);
+    }
+  }
+
+  // A caller gave up on the task; if they were the last one, the task goes too.
+  #abandon(task, waiter, describe) {
+    if (!task.waiters.delete(waiter)) {
+      return;
+    }
+    waiter.reject(new RequestCancelledError('aborted', describe));
+    if (task.waiters.size) {
+      return;
+    }
+    this.#forget(task);
+    if (task.started) {
+      task.controller.abort();
+    } else {
+      this.#dequeue(task);
+      this.#reportQueue();
+    }
+  }
+
+  #settle(task, func) {
+    for (const waiter of task.waiters) {
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      func(waiter);
+    }
+    task.waiters.clear();
+  }
+
+  #pump() {
+    while (this.#inFlight < this.maxInFlight) {
+      const task = this.#nextTask();
+      if (!task) {
+        return;
+      }
+      this.#start(task);
+    }
+  }
+
+  #nextTask() {
+    for (const priority of PRIORITIES) {
+      const queue = this.#queues.get(priority);
+      if (queue.length) {
+        return queue.shift();
+      }
+    }
+    return null;
+  }
+
+  async #start(task) {
+    task.started = true;
+    this.#inFlight++;
+    try {
+      const result = await task.run(task.controller.signal);
+      this.#settle(task, waiter => waiter.resolve(result));
+    } catch (ex) {
+      this.#settle(task, waiter => waiter.reject(ex));
+    } finally {
+      this.#forget(task);
+      this.#inFlight--;
+      this.#pump();
+      this.#reportQueue();
+    }
+  }
+
+  #reportQueue() {
+    this.onQueueChange?.({
+      queued: this.queuedCount,
+      inFlight: this.#inFlight,
+    });
+  }
+}
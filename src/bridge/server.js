@@ -21,11 +21,20 @@
  *   recent server they've heard about.
  */
 
-import { RuntimeConnectListeningHandler } from './msg_handler.js';
+import { MessageHandler } from './msg_handler.js';
+import { BRIDGE_PROTOCOL_VERSION } from './protocol.js';
+import { RuntimeListeningTransport } from './transports.js';
 
-export class BridgeServer extends RuntimeConnectListeningHandler {
+export class BridgeServer extends MessageHandler {
+  /**
+   * `options.transport` defaults to waiting for the background page to connect
+   * to us via `browser.runtime`; stand-in servers can pass one half of
+   * `createInMemoryTransportPair()` instead.
+   */
   constructor(args, options = {}) {
-    super(args, options);
+    super(args, Object.assign({}, options, {
+      transport: options.transport || new RuntimeListeningTransport(),
+    }));
 
     if (args.pclient) {
       this.pclient = args.pclient;
@@ -36,8 +45,56 @@ export class BridgeServer extends RuntimeConnectListeningHandler {
     return {};
   }
 
+  /**
+   * The state of the server's connection to pernosco, as also sent in
+   * "connectionState" messages, or null if that's not something the server
+   * tracks.
+   */
+  generateConnectionStatePayload() {
+    return null;
+  }
+
+  /**
+   * Asynchronously determine which of the capabilities from `protocol.js` we
+   * support, returning `{ capabilities, details }` where `details` is an
+   * optional dictionary of additional compatibility information for display.
+   * Subclasses that depend on pernosco internals should override this.
+   */
+  async probeCapabilities() {
+    return { capabilities: [], details: {} };
+  }
+
   onConnect() {
     console.log("got connect notification, sending message");
+    this.sendHello().catch((ex) => {
+      console.error("Problem sending hello", ex);
+    });
+  }
+
+  /**
+   * The background page sends this when an additional client attaches to our
+   * existing port so that it can learn about us too.
+   */
+  onMsg_rollcall() {
+    this.sendHello().catch((ex) => {
+      console.error("Problem sending hello", ex);
+    });
+  }
+
+  /**
+   * Send our hello.  If probing our capabilities fails, we still say hello,
+   * just without any capabilities, so that the client can tell the user what's
+   * wrong rather than waiting for us forever.
+   */
+  async sendHello() {
+    let capabilities = [];
+    let details = {};
+    try {
+      ({ capabilities, details } = await this.probeCapabilities());
+    } catch (ex) {
+      console.error("Problem probing capabilities", ex);
+      details = { probeError: String(ex) };
+    }
     this.sendMessage(
       'helloThisIsServer',
       {
@@ -45,6 +102,10 @@ export class BridgeServer extends RuntimeConnectListeningHandler {
         // client can always have current status information that is updated as
         // things change in the pernosco session.
         status: this.generateStatusReportPayload(),
+        connection: this.generateConnectionStatePayload(),
+        protocolVersion: BRIDGE_PROTOCOL_VERSION,
+        capabilities,
+        details,
       });
   }
 }
@@ -0,0 +1,332 @@
+/**
+ * Transports used by `MessageHandler` to actually move messages around.  The
+ * handler only cares about the message protocol; the transport is responsible
+ * for establishing (and possibly re-establishing) the connection.
+ *
+ * All transports implement:
+ * - `start({ onConnect, onMessage, onDisconnect })`: Called once by the
+ *   `MessageHandler` constructor.  `onConnect()` must be invoked whenever a
+ *   (new) connection becomes available, `onMessage(msg)` for every received
+ *   message, and `onDisconnect()` when the connection goes away.  To give
+ *   subclass constructors a chance to finish, `onConnect` should never be
+ *   invoked synchronously from `start`.
+ * - `postMessage(msg)`: Send a message.  Only called while connected.
+ * - `close()`: Tear down the connection for good.  No further callbacks
+ *   should be invoked.
+ *
+ * Transports that automatically reconnect also implement `stopReconnecting()`
+ * which the `BridgeClient` uses when the background page tells it that the
+ * session is over.
+ */
+
+/**
+ * Waits for a `browser.runtime.onConnect` connection.  This is what the
+ * content script in the pernosco tab uses.  The background page disconnects us
+ * when the UI goes away and will issue a new port when it comes back.
+ */
+export class RuntimeListeningTransport {
+  #port;
+  #handlers;
+
+  constructor() {
+    this.#port = null;
+    this.#handlers = null;
+  }
+
+  start(handlers) {
+    this.#handlers = handlers;
+    browser.runtime.onConnect.addListener(this.#onConnect.bind(this));
+  }
+
+  #onConnect(port) {
+    if (!this.#handlers) {
+      return;
+    }
+    console.log("Port connection received.");
+    this.#port = port;
+    port.onMessage.addListener((msg) => this.#handlers?.onMessage(msg));
+    port.onDisconnect.addListener(() => {
+      if (this.#port === port) {
+        console.log("Port disconnected, queueing until reconnected.");
+        this.#port = null;
+        this.#handlers?.onDisconnect();
+      }
+    });
+    this.#handlers.onConnect();
+  }
+
+  postMessage(msg) {
+    this.#port.postMessage(msg);
+  }
+
+  close() {
+    this.#handlers = null;
+    const port = this.#port;
+    this.#port = null;
+    port?.disconnect();
+  }
+}
+
+/**
+ * Initiates a `browser.runtime.connect` connection to the background page
+ * using the given name.
+ *
+ * The background page will disconnect us if the server we were talking to went
+ * away (ex: the pernosco tab reloaded), in which case we immediately reconnect
+ * using the same name.  The exception is if `stopReconnecting` has been called.
+ */
+export class RuntimeIssuingTransport {
+  #name;
+  #port;
+  #handlers;
+  #reconnect;
+
+  constructor(name) {
+    this.#name = name;
+    this.#port = null;
+    this.#handlers = null;
+    this.#reconnect = true;
+  }
+
+  start(handlers) {
+    this.#handlers = handlers;
+    queueMicrotask(() => this.#connect());
+  }
+
+  #connect() {
+    if (!this.#handlers) {
+      return;
+    }
+    console.log("Opening port with name:", this.#name);
+    const port = this.#port = browser.runtime.connect({ name: this.#name });
+    port.onMessage.addListener((msg) => this.#handlers?.onMessage(msg));
+    port.onDisconnect.addListener(() => {
+      if (this.#port !== port) {
+        return;
+      }
+      this.#port = null;
+      this.#handlers?.onDisconnect();
+      if (!this.#reconnect) {
+        console.log("Session ended, not reconnecting.");
+        return;
+      }
+      console.log("Port disconnected, reconnecting.");
+      this.#connect();
+    });
+    this.#handlers.onConnect();
+  }
+
+  stopReconnecting() {
+    this.#reconnect = false;
+  }
+
+  postMessage(msg) {
+    this.#port.postMessage(msg);
+  }
+
+  close() {
+    this.#handlers = null;
+    this.#reconnect = false;
+    const port = this.#port;
+    this.#port = null;
+    port?.disconnect();
+  }
+}
+
+/**
+ * Wraps a MessagePort (ex: one half of a MessageChannel, or a worker).  There's
+ * no way to find out that the other side of a MessagePort went away, so once
+ * connected we stay connected until closed.
+ */
+export class MessagePortTransport {
+  #port;
+  #handlers;
+
+  constructor(port) {
+    this.#port = port;
+    this.#handlers = null;
+  }
+
+  start(handlers) {
+    this.#handlers = handlers;
+    this.#port.onmessage = (evt) => this.#handlers?.onMessage(evt.data);
+    queueMicrotask(() => this.#handlers?.onConnect());
+  }
+
+  postMessage(msg) {
+    this.#port.postMessage(msg);
+  }
+
+  close() {
+    this.#handlers = null;
+    this.#port.onmessage = null;
+    this.#port.close();
+  }
+}
+
+/**
+ * Speaks JSON over a WebSocket.  If given a URL we create the socket ourselves
+ * and, if `reconnectDelayMs` is provided, will re-create it that many
+ * milliseconds after it closes.  Alternatively an already created (and possibly
+ * already open) socket can be provided, such as on the server side of a
+ * WebSocket connection, in which case no reconnection is attempted.
+ */
+export class WebSocketTransport {
+  #url;
+  #socket;
+  #handlers;
+  #reconnectDelayMs;
+  #reconnectTimer;
+
+  constructor(urlOrSocket, { reconnectDelayMs = null } = {}) {
+    if (typeof urlOrSocket === 'string') {
+      this.#url = urlOrSocket;
+      this.#socket = null;
+      this.#reconnectDelayMs = reconnectDelayMs;
+    } else {
+      this.#url = null;
+      this.#socket = urlOrSocket;
+      this.#reconnectDelayMs = null;
+    }
+    this.#handlers = null;
+    this.#reconnectTimer = null;
+  }
+
+  start(handlers) {
+    this.#handlers = handlers;
+    if (this.#url) {
+      this.#connect();
+    } else {
+      this.#attach(this.#socket);
+    }
+  }
+
+  #connect() {
+    if (!this.#handlers) {
+      return;
+    }
+    console.log("Opening WebSocket to:", this.#url);
+    this.#attach(new WebSocket(this.#url));
+  }
+
+  #attach(socket) {
+    this.#socket = socket;
+    socket.addEventListener('message', (evt) => {
+      this.#handlers?.onMessage(JSON.parse(evt.data));
+    });
+    socket.addEventListener('close', () => {
+      if (this.#socket !== socket) {
+        return;
+      }
+      this.#socket = null;
+      this.#handlers?.onDisconnect();
+      if (this.#handlers && this.#reconnectDelayMs !== null) {
+        this.#reconnectTimer = setTimeout(() => {
+          this.#reconnectTimer = null;
+          this.#connect();
+        }, this.#reconnectDelayMs);
+      }
+    });
+
+    if (socket.readyState === WebSocket.OPEN) {
+      queueMicrotask(() => this.#handlers?.onConnect());
+    } else {
+      socket.addEventListener('open', () => this.#handlers?.onConnect());
+    }
+  }
+
+  stopReconnecting() {
+    this.#reconnectDelayMs = null;
+    clearTimeout(this.#reconnectTimer);
+  }
+
+  postMessage(msg) {
+    this.#socket.send(JSON.stringify(msg));
+  }
+
+  close() {
+    this.#handlers = null;
+    this.stopReconnecting();
+    const socket = this.#socket;
+    this.#socket = null;
+    socket?.close();
+  }
+}
+
+/**
+ * One half of a pair created by `createInMemoryTransportPair`.
+ */
+class InMemoryTransport {
+  #handlers;
+
+  constructor() {
+    this.peer = null;
+    this.#handlers = null;
+    this.connected = false;
+  }
+
+  start(handlers) {
+    this.#handlers = handlers;
+    // We're connected once both sides have started.
+    if (this.peer.#handlers) {
+      queueMicrotask(() => {
+        this.#connected();
+        this.peer.#connected();
+      });
+    }
+  }
+
+  #connected() {
+    if (this.#handlers && !this.connected) {
+      this.connected = true;
+      this.#handlers.onConnect();
+    }
+  }
+
+  #deliver(msg) {
+    // Clone the message so that neither side can depend on sharing object
+    // identity with the other, just like with a real transport.
+    const cloned = structuredClone(msg);
+    queueMicrotask(() => {
+      if (this.connected) {
+        this.#handlers?.onMessage(cloned);
+      }
+    });
+  }
+
+  postMessage(msg) {
+    this.peer.#deliver(msg);
+  }
+
+  #disconnected() {
+    if (this.connected) {
+      this.connected = false;
+      this.#handlers?.onDisconnect();
+    }
+  }
+
+  /**
+   * Closing either side disconnects the other side, which is useful for
+   * testing how things cope with the other side going away.
+   */
+  close() {
+    this.connected = false;
+    this.#handlers = null;
+    this.peer.#disconnected();
+  }
+}
+
+/**
+ * Create a pair of transports directly connected to each other within the same
+ * global, returning `[clientTransport, serverTransport]` (although they are
+ * interchangeable).  This allows running a `BridgeClient` (and the `Analyzer`
+ * and grokker on top of it) against a stand-in `BridgeServer` outside of
+ * Firefox.
+ */
+export function createInMemoryTransportPair() {
+  const a = new InMemoryTransport();
+  const b = new InMemoryTransport();
+  a.peer = b;
+  b.peer = a;
+  return [a, b];
+}
@@ -1,67 +1,405 @@
+import {
+  dfnIdFromRefId, findImplementationSymbols, SPEC_URL_PATTERNS
+} from './specs/dfn_mapping.js';
+
 var gNextSessionId = 1;
+var gNextAttachmentId = 1;
+
+/**
+ * All live sessions, keyed by session name.  The session name is what the UI
+ * tab uses as its port name (it's tunneled through the UI's URL) which lets a
+ * reloaded UI tab find its way back to its session.
+ */
+var gSessionsByName = new Map();
+
+// Pernosco URLs look like: https://pernos.co/debug/ps0J9-pJ2TxCDiz5XJu-2g/index.html#HASH
+function traceNameFromUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (ex) {
+    return null;
+  }
+  if (parsed.origin !== "https://pernos.co") {
+    return null;
+  }
+  const pieces = parsed.pathname.split("/");
+  if (pieces[1] !== "debug") {
+    return null;
+  }
+  return pieces[2];
+}
+
+/**
+ * Binds a pernosco tab running our injected content script ("the server") to
+ * one or more bridge UI tabs ("the clients"), routing messages between their
+ * ports.
+ *
+ * Routing:
+ * - Requests from a UI that expect a reply have their replyId rewritten to be
+ *   prefixed with the id of the UI attachment they came from, so the replyIds
+ *   that each client generates independently can't collide.  When the reply
+ *   comes back we use the prefix to route it to the right UI and restore the
+ *   original replyId.  "cancel" messages and partial replies (which reference
+ *   the replyId via `inReplyTo`) get the same treatment.
+ * - Everything else the server sends (status reports, focus changes) is
+ *   broadcast to every attached UI.
+ *
+ * Either side may go away and come back:
+ * - If a UI tab reloads, its port disconnects and we cancel any requests it
+ *   still had outstanding.  If it was the last UI, we also disconnect the
+ *   pernosco port, which causes the server to queue its messages.  When a UI
+ *   (re)connects with the session name, it gets attached and, if needed, we
+ *   issue a fresh pernosco port.
+ * - If the pernosco tab reloads, the content script is gone.  We disconnect
+ *   the UI ports, which causes the clients to re-queue their unanswered
+ *   requests and reconnect.  Once `tabs.onUpdated` tells us the pernosco tab
+ *   has finished loading, we re-inject the content script and re-glue the
+ *   ports, at which point the clients' queues get replayed.
+ * - If the pernosco tab or all of the UI tabs are closed, or the pernosco tab
+ *   navigates to something that's not the same trace, the session is ended.
+ */
+class BridgeSession {
+  constructor({ name, traceName, pernoscoTabId }) {
+    this.name = name;
+    this.traceName = traceName;
+    this.pernoscoTabId = pernoscoTabId;
+    // The ids of the UI tabs we've opened or which have attached to us.
+    this.uiTabIds = new Set();
+
+    this.pernoscoPort = null;
+    // Map from attachment id to { id, kind, port } for each currently connected
+    // UI (including searchfox content scripts; see `attachUiPort`).
+    this.uiAttachments = new Map();
+    // Map from routed replyId to { attachment, replyId }.
+    this.replyRoutes = new Map();
+    // Has inject.js been run in the current incarnation of the pernosco page?
+    this.serverInjected = false;
+    // Are we currently in the process of running inject.js?
+    this.injecting = false;
+    // { attachment, msg } for messages from UIs that arrived while we had no
+    // pernosco port.
+    this.pendingToPernosco = [];
+    // Messages from us (rather than the server) for a UI that arrived while no
+    // UI was attached; see `sendToUi`.
+    this.pendingToUi = [];
+  }
+
+  async injectServer() {
+    // We want to wait for the server to have registered itself.
+    console.log("Waiting for content script to load.");
+    this.injecting = true;
+    try {
+      await browser.tabs.executeScript(this.pernoscoTabId, {
+        file: "/inject.js"
+      });
+    } finally {
+      this.injecting = false;
+    }
+    console.log("Content script loaded.");
+    this.serverInjected = true;
+    this.#maybeConnectPernosco();
+  }
+
+  /**
+   * Attach a client port.  `kind` is "ui" for our UI tabs and "searchfox" for
+   * searchfox content scripts, which also get to talk to the server but don't
+   * keep the session alive or receive `sendToUi` messages.
+   */
+  attachUiPort(port, kind = "ui") {
+    const attachment = {
+      id: `${kind}${gNextAttachmentId++}`,
+      kind,
+      port,
+    };
+    console.log("Attaching", kind, "port for session:", this.name, attachment.id);
+    this.uiAttachments.set(attachment.id, attachment);
+    if (kind === "ui" && port.sender?.tab) {
+      this.uiTabIds.add(port.sender.tab.id);
+    }
+
+    port.onMessage.addListener(msg => this.#relayFromUi(attachment, msg));
+    port.onDisconnect.addListener(() => this.#detachUi(attachment));
+
+    if (kind === "ui") {
+      const pendingToUi = this.pendingToUi;
+      this.pendingToUi = [];
+      for (const msg of pendingToUi) {
+        port.postMessage(msg);
+      }
+    }
+
+    if (this.pernoscoPort) {
+      // The server has already said hello to the other UIs, so ask it to say
+      // hello again for the benefit of the new one.
+      this.pernoscoPort.postMessage({ type: "rollcall" });
+    } else {
+      this.#maybeConnectPernosco();
+    }
+  }
+
+  /**
+   * Send a message of our own to a single UI, bringing its tab to the front.
+   * If no UI is currently attached the message is queued for the next one to
+   * attach, and if the session has no UI tabs at all, we open one.
+   */
+  async sendToUi(msg) {
+    const attachment = Array.from(this.uiAttachments.values()).find(
+      ({ kind }) => kind === "ui");
+    if (attachment) {
+      attachment.port.postMessage(msg);
+      const tabId = attachment.port.sender?.tab?.id;
+      if (tabId !== undefined) {
+        await browser.tabs.update(tabId, { active: true });
+      }
+      return;
+    }
+
+    this.pendingToUi.push(msg);
+    if (!this.uiTabIds.size) {
+      await openUITab(this);
+    }
+  }
+
+  #routedReplyId(attachment, replyId) {
+    return `${attachment.id}:${replyId}`;
+  }
+
+  #relayFromUi(attachment, msg) {
+    if (msg.replyId) {
+      const routedId = this.#routedReplyId(attachment, msg.replyId);
+      this.replyRoutes.set(routedId, { attachment, replyId: msg.replyId });
+      msg = Object.assign({}, msg, { replyId: routedId });
+    } else if (msg.type === "cancel" && msg.payload?.replyId) {
+      const routedId = this.#routedReplyId(attachment, msg.payload.replyId);
+      this.replyRoutes.delete(routedId);
+      msg = Object.assign({}, msg, { payload: { replyId: routedId } });
+    }
+
+    if (this.pernoscoPort) {
+      console.log("relaying from ui to pernosco", attachment.id, msg);
+      this.pernoscoPort.postMessage(msg);
+    } else {
+      console.log("queueing from ui to pernosco", attachment.id, msg);
+      this.pendingToPernosco.push({ attachment, msg });
+    }
+  }
+
+  #relayFromPernosco(msg) {
+    if (msg.type === "reply") {
+      const route = this.replyRoutes.get(msg.msgId);
+      if (!route) {
+        console.log("dropping reply with no route", msg);
+        return;
+      }
+      this.replyRoutes.delete(msg.msgId);
+      console.log("routing from pernosco to ui", route.attachment.id, msg);
+      route.attachment.port.postMessage(
+        Object.assign({}, msg, { msgId: route.replyId }));
+      return;
+    }
+
+    if (msg.inReplyTo) {
+      const route = this.replyRoutes.get(msg.inReplyTo);
+      if (!route) {
+        console.log("dropping partial reply with no route", msg);
+        return;
+      }
+      route.attachment.port.postMessage(
+        Object.assign({}, msg, { inReplyTo: route.replyId }));
+      return;
+    }
+
+    console.log("broadcasting from pernosco to uis", msg);
+    for (const attachment of this.uiAttachments.values()) {
+      attachment.port.postMessage(msg);
+    }
+  }
+
+  #detachUi(attachment) {
+    if (!this.uiAttachments.delete(attachment.id)) {
+      return;
+    }
+    console.log("UI port disconnect", attachment.id);
+
+    // Anything the UI still cares about will be replayed when it reconnects,
+    // so forget about its queued messages and cancel its outstanding requests.
+    this.pendingToPernosco =
+      this.pendingToPernosco.filter(pending => pending.attachment !== attachment);
+    for (const [routedId, route] of Array.from(this.replyRoutes)) {
+      if (route.attachment === attachment) {
+        this.replyRoutes.delete(routedId);
+        this.pernoscoPort?.postMessage({
+          type: "cancel",
+          payload: { replyId: routedId },
+        });
+      }
+    }
+
+    if (!this.uiAttachments.size) {
+      console.log("Last UI port gone, disconnecting pernosco port.");
+      this.#disconnectPernosco();
+    }
+  }
+
+  #maybeConnectPernosco() {
+    if (!this.uiAttachments.size || this.pernoscoPort || !this.serverInjected) {
+      return;
+    }
+
+    // We wait to establish the pernosco port until we've received a UI port
+    // so that we can immediately glue them together; there is no
+    // startMessages affordance that queues the messages until we're ready.
+    const port = this.pernoscoPort =
+      browser.tabs.connect(this.pernoscoTabId, { name: this.name });
+    port.onMessage.addListener(msg => this.#relayFromPernosco(msg));
+    port.onDisconnect.addListener(() => {
+      if (this.pernoscoPort !== port) {
+        return;
+      }
+      console.log("Pernosco port disconnect, waiting for the pernosco tab.");
+      this.pernoscoPort = null;
+      // The content script only goes away with the page.
+      this.serverInjected = false;
+      // Bounce the UIs so they re-queue the requests the server will now never
+      // answer.
+      this.#disconnectUis();
+    });
+
+    const pending = this.pendingToPernosco;
+    this.pendingToPernosco = [];
+    for (const { msg } of pending) {
+      port.postMessage(msg);
+    }
+    console.log("ports glued");
+  }
+
+  #disconnectPernosco() {
+    const port = this.pernoscoPort;
+    this.pernoscoPort = null;
+    port?.disconnect();
+  }
+
+  #disconnectUis() {
+    const attachments = Array.from(this.uiAttachments.values());
+    this.uiAttachments.clear();
+    this.replyRoutes.clear();
+    this.pendingToPernosco = [];
+    for (const { port } of attachments) {
+      port.disconnect();
+    }
+  }
+
+  /**
+   * Called by our `tabs.onUpdated` listener for the pernosco tab.
+   */
+  onPernoscoTabUpdated(changeInfo, tab) {
+    const url = changeInfo.url || tab.url;
+    if (url && traceNameFromUrl(url) !== this.traceName) {
+      console.log("Pernosco tab navigated away from trace, ending session", this.name);
+      this.end();
+      return;
+    }
+
+    // A new page won't have our content script even if we never heard about
+    // the old one going away, which we don't without a pernosco port.
+    if (changeInfo.status === "loading") {
+      this.serverInjected = false;
+    }
+
+    if (changeInfo.status === "complete" && !this.serverInjected &&
+        !this.injecting) {
+      console.log("Pernosco tab reloaded, re-injecting for session", this.name);
+      this.injectServer().catch((ex) => {
+        console.error("Failed to re-inject content script", ex);
+      });
+    }
+  }
+
+  /**
+   * Called by our `tabs.onRemoved` listener for any of our UI tabs.
+   */
+  onUiTabRemoved(tabId) {
+    this.uiTabIds.delete(tabId);
+    if (!this.uiTabIds.size) {
+      console.log("Last UI tab closed, ending session", this.name);
+      this.end();
+    }
+  }
+
+  end() {
+    gSessionsByName.delete(this.name);
+    updateSearchfoxIntegration();
+    for (const { port } of this.uiAttachments.values()) {
+      port.postMessage({ type: "sessionEnded" });
+    }
+    this.#disconnectUis();
+    this.#disconnectPernosco();
+  }
+}
 
-var gPendingConnectionsByName = new Map();
+// Searchfox content scripts name their ports with this prefix followed by the
+// session name.
+const SEARCHFOX_PORT_PREFIX = "searchfox:";
 
 function connectHandler(port) {
-  let resolver = gPendingConnectionsByName.get(port.name);
-  if (resolver) {
+  let kind = "ui";
+  let sessionName = port.name;
+  if (sessionName.startsWith(SEARCHFOX_PORT_PREFIX)) {
+    kind = "searchfox";
+    sessionName = sessionName.substring(SEARCHFOX_PORT_PREFIX.length);
+  }
+  const session = gSessionsByName.get(sessionName);
+  if (session) {
     console.log("Connecting named port:", port.name);
-    gPendingConnectionsByName.delete(port.name);
-    resolver(port);
+    session.attachUiPort(port, kind);
   } else {
     console.log("Port connection request for unknown port:", port.name);
+    // Let the UI know there's no point in it trying to reconnect.
+    port.postMessage({ type: "sessionEnded" });
+    port.disconnect();
   }
 }
 browser.runtime.onConnect.addListener(connectHandler);
-function waitForNamedPort(name) {
-  const promise = new Promise(resolve => {
-    gPendingConnectionsByName.set(name, resolve);
-  });
-  return promise;
-}
-
-// TODO: We probably actually want to be doing something like watch the tabs so
-// that on reload of the UI we'd issue a new port, and for a pernosco reload we
-// would re-executeScript and then send the fresh port, etc.
-function gluePorts(pernoscoPort, uiPort) {
-  pernoscoPort.onDisconnect.addListener(() => {
-    console.log("Pernosco port disconnect, disconnecting UI port.");
-    uiPort.disconnect();
-  });
-  pernoscoPort.onMessage.addListener(msg => {
-    console.log("relaying from pernosco to ui", msg);
-    uiPort.postMessage(msg);
-  });
 
-  uiPort.onDisconnect.addListener(() => {
-    console.log("UI port disconnect, disconnecting pernosco port.");
-    pernoscoPort.disconnect();
-  });
-  uiPort.onMessage.addListener(msg => {
-    console.log("relaying from ui to pernosco", msg);
-    pernoscoPort.postMessage(msg);
-  })
-}
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  for (const session of gSessionsByName.values()) {
+    if (session.pernoscoTabId === tabId) {
+      session.onPernoscoTabUpdated(changeInfo, tab);
+    }
+  }
+});
 
-async function showSimpleUI(pernoscoTab) {
-  let sessionId = gNextSessionId++;
-  let sessionName = `sess${sessionId}`;
+browser.tabs.onRemoved.addListener((tabId) => {
+  for (const session of Array.from(gSessionsByName.values())) {
+    if (session.pernoscoTabId === tabId) {
+      console.log("Pernosco tab closed, ending session", session.name);
+      session.end();
+    } else if (session.uiTabIds.has(tabId)) {
+      session.onUiTabRemoved(tabId);
+    }
+  }
+});
 
-  // We want to wait for the server to have registered itself.
-  console.log("Waiting for content script to load.");
-  await browser.tabs.executeScript(pernoscoTab.id, {
-    file: "/inject.js"
-  });
-  console.log("Content script loaded.");
+/**
+ * Find the session the given tab belongs to, whether it's the session's
+ * pernosco tab or one of its UI tabs.
+ */
+function findSessionForTab(tab) {
+  for (const session of gSessionsByName.values()) {
+    if (session.pernoscoTabId === tab.id || session.uiTabIds.has(tab.id)) {
+      return session;
+    }
+  }
+  return null;
+}
 
-  // Pernosco URLs look like: https://pernos.co/debug/ps0J9-pJ2TxCDiz5XJu-2g/index.html#HASH
-  let pernoscoUrl = new URL(pernoscoTab.url);
-  let traceName = pernoscoUrl.pathname.split("/")[2];
-  console.log("Opening tab for: Trace name", traceName, "Session name", sessionName);
+async function openUITab(session) {
+  console.log("Opening tab for: Trace name", session.traceName, "Session name", session.name);
 
   let uiUrlParams = new URLSearchParams();
-  uiUrlParams.append("sess", sessionName);
-  uiUrlParams.append("trace", traceName);
+  uiUrlParams.append("sess", session.name);
+  uiUrlParams.append("trace", session.traceName);
 
   const uiUrl = `/simple.html?${uiUrlParams.toString()}`;
   console.log("Opening UI URL", uiUrl);
@@ -69,56 +407,335 @@ async function showSimpleUI(pernoscoTab) {
     active: true,
     // XXX the intent here is to enable TreeStyleTab to group the new tab with
     // the pernosco tab, not sure if this works...
-    openerTabId: pernoscoTab.id,
+    openerTabId: session.pernoscoTabId,
     url: uiUrl,
   });
+  session.uiTabIds.add(uiTab.id);
+}
+
+/**
+ * Action button handler.  Clicking on a pernosco tab creates a new session for
+ * it, unless it already has one, in which case (as when clicking on an
+ * existing UI tab) we open an additional UI tab for the existing session.
+ */
+async function showSimpleUI(tab) {
+  const existingSession = findSessionForTab(tab);
+  if (existingSession) {
+    await openUITab(existingSession);
+    return;
+  }
 
-  let uiPort = await waitForNamedPort(sessionName);
-  // Wait to establish the pernosco port until we've received the request so
-  // that we can immediately glue them together; there is no startMessages
-  // affordance that queues the messages until we're ready.
-  let pernoscoPort = browser.tabs.connect(pernoscoTab.id, { name: sessionName });
+  let sessionId = gNextSessionId++;
+  let sessionName = `sess${sessionId}`;
+
+  const session = new BridgeSession({
+    name: sessionName,
+    traceName: traceNameFromUrl(tab.url),
+    pernoscoTabId: tab.id,
+  });
+  gSessionsByName.set(sessionName, session);
+  updateSearchfoxIntegration();
 
-  gluePorts(pernoscoPort, uiPort);
-  console.log("ports glued");
+  try {
+    await session.injectServer();
+  } catch (ex) {
+    // Don't leave a dead session around for the searchfox integration to
+    // consider active.
+    session.end();
+    throw ex;
+  }
+  await openUITab(session);
 }
 
 browser.browserAction.onClicked.addListener(showSimpleUI);
 
+/**
+ * Find the session that searchfox context menus should act on.  We don't have
+ * a way to know which trace the user is thinking about, so we go with the most
+ * recently created session.
+ */
+function findActiveSession() {
+  return Array.from(gSessionsByName.values()).pop() || null;
+}
+
+/**
+ * Content script code to resolve the searchfox symbol for the menu's target
+ * element.  Searchfox puts a comma-delimited list of symbols in the
+ * "data-symbols" attribute of identifiers and provides their pretty names via
+ * the `SYM_INFO` global.  `TARGET_ELEMENT_ID` gets replaced with the
+ * `targetElementId` from the menu click.  The pretty name is the qualified name
+ * pernosco needs, so there's no point in falling back to the element's
+ * (unqualified) text if searchfox doesn't know it.
+ */
+const RESOLVE_SEARCHFOX_SYMBOL_CODE = `(() => {
+  const elem = browser.menus.getTargetElement(TARGET_ELEMENT_ID);
+  const symElem = elem?.closest("[data-symbols]");
+  if (!symElem) {
+    return null;
+  }
+  const symbols = symElem.getAttribute("data-symbols").split(",");
+  const symInfo = window.wrappedJSObject.SYM_INFO;
+  let pretty = null;
+  for (const sym of symbols) {
+    pretty = symInfo?.[sym]?.pretty;
+    if (pretty) {
+      break;
+    }
+  }
+  return pretty ? { symbols, pretty } : null;
+})();`;
+
+async function resolveSearchfoxSymbol(info, tab) {
+  if (info.targetElementId === undefined) {
+    return null;
+  }
+  const [result] = await browser.tabs.executeScript(tab.id, {
+    code: RESOLVE_SEARCHFOX_SYMBOL_CODE.replace(
+      "TARGET_ELEMENT_ID", JSON.stringify(info.targetElementId)),
+  });
+  return result;
+}
+
+// Maps our context menu ids to the direction of the call graph to show.
+const DIAGRAM_MENU_DIRECTIONS = {
+  "mozsearch-diagram-uses": "callers",
+  "mozsearch-diagram-calls": "callees",
+};
+
 async function searchfoxContextMenuClicked(info, tab) {
-  // ## Standards Specs Processing
-  //
+  const direction = DIAGRAM_MENU_DIRECTIONS[info.menuItemId];
+  if (!direction) {
+    return;
+  }
+
   // Info potentially contains { linkText, linkUrl, pageUrl, targetElementId },
   // with the links only being available in the "link" context, but the others
-  // always being available.  If we were running in a content script we could
-  // also use `menus.getTargetElement()` but we currently only run as a
-  // background script because we are currently trying to avoid injecting
-  // content scripts unless needed.
-  //
-  // The situations are generally going to be:
-  // - A def/dfn: We will only have an id and it will be the id of the dfn in
-  //   the spec.  But we also will have the pageUrl and combining those two
-  //   gives us a full usable absolute URL.
-  // - A use that references a def/dfn elsewhere: We expect to have the linkUrl
-  //   and we expect the id to look like "ref-for-{dfn id}{optional circled digits}".
-  //   The {dfn id} of course could be for a definition in another document and
-  //   whether it is will be clear from the actual link URL.  Currently the
-  //   normal searchfox semantics don't actually care about the specific use
-  //   we click on for the diagram options, so we don't currently need to do
-  //   anything with these "ref-for" cases, we just need to process the link.
-  //
-  // 
-  //
+  // always being available.  We use the `targetElementId` with
+  // `menus.getTargetElement()` in a one-off content script to find the
+  // searchfox symbol.
+  const symbolInfo = await resolveSearchfoxSymbol(info, tab);
+  if (!symbolInfo) {
+    console.warn("No qualified searchfox symbol found for context menu click", info);
+    return;
+  }
+
+  const session = findActiveSession();
+  if (!session) {
+    console.warn("No pernosco session to show a diagram for", symbolInfo);
+    return;
+  }
+
+  console.log("Showing", direction, "diagram for", symbolInfo, "in session", session.name);
+  await session.sendToUi({
+    type: "showDiagram",
+    payload: {
+      direction,
+      symbol: symbolInfo.pretty,
+      symbols: symbolInfo.symbols,
+    },
+  });
 }
 
-browser.contextMenus.create({
-    id: "mozsearch-diagram-uses",
-    title: "Uses diagram",
-    contexts: ["link", "page"],
+// ## Standards Specs Processing
+//
+// The situations on spec pages are generally going to be:
+// - A def/dfn: We will only have an id and it will be the id of the dfn in the
+//   spec.  But we also will have the pageUrl and combining those two gives us a
+//   full usable absolute URL.
+// - A use that references a def/dfn elsewhere: We expect to have the linkUrl
+//   and we expect the id to look like "ref-for-{dfn id}{optional circled digits}".
+//   The {dfn id} of course could be for a definition in another document and
+//   whether it is will be clear from the actual link URL.
+//
+// In both cases we also look at the dfn element (if it's in this document) or
+// the link for bikeshed's IDL annotations, and then `dfn_mapping.js` turns all
+// of that into candidate Gecko symbols.
+
+const SPEC_EXECUTIONS_MENU_ID = "mozsearch-spec-executions";
+
+/**
+ * Content script code to describe the dfn for the menu's target element as
+ * `{ dfnUrl, elementId, dfnFor, dfnType, text }`.  `TARGET_ELEMENT_ID` gets
+ * replaced with the `targetElementId` from the menu click.
+ */
+const RESOLVE_SPEC_DFN_CODE = `(() => {
+  const elem = browser.menus.getTargetElement(TARGET_ELEMENT_ID);
+  if (!elem) {
+    return null;
+  }
+  const link = elem.closest("a[href]");
+  let dfn = elem.closest("dfn[id]");
+  let dfnUrl = null;
+  if (link) {
+    const url = new URL(link.href);
+    dfnUrl = url.href;
+    // Only links within this document let us look at the dfn itself.
+    dfn = null;
+    if (url.hash && url.origin === location.origin && url.pathname === location.pathname) {
+      dfn = document.getElementById(decodeURIComponent(url.hash.substring(1)));
+    }
+  } else if (dfn) {
+    dfnUrl = new URL("#" + dfn.id, location.href).href;
+  }
+  return {
+    dfnUrl,
+    elementId: (link || elem).id || null,
+    dfnFor: dfn?.dataset.dfnFor || link?.dataset.linkFor || null,
+    dfnType: dfn?.dataset.dfnType || link?.dataset.linkType || null,
+    text: (dfn || link || elem).textContent.trim(),
+  };
+})();`;
+
+async function resolveSpecDfn(info, tab) {
+  if (info.targetElementId === undefined) {
+    return null;
+  }
+  const [target] = await browser.tabs.executeScript(tab.id, {
+    code: RESOLVE_SPEC_DFN_CODE.replace(
+      "TARGET_ELEMENT_ID", JSON.stringify(info.targetElementId)),
+  });
+  if (target && !target.dfnUrl) {
+    // A "ref-for-" element without a usable link still tells us the dfn id.
+    const dfnId = dfnIdFromRefId(target.elementId);
+    if (dfnId) {
+      target.dfnUrl = new URL(`#${dfnId}`, info.pageUrl).href;
+    }
+  }
+  return target?.dfnUrl ? target : null;
+}
+
+async function specContextMenuClicked(info, tab) {
+  const target = await resolveSpecDfn(info, tab);
+  if (!target) {
+    console.warn("No spec dfn found for context menu click", info);
+    return;
+  }
+  const symbols = findImplementationSymbols(target);
+
+  const session = findActiveSession();
+  if (!session) {
+    console.warn("No pernosco session to show executions for", target);
+    return;
+  }
+
+  console.log("Showing executions of", symbols, "for", target, "in session", session.name);
+  await session.sendToUi({
+    type: "showImplementationExecutions",
+    payload: {
+      dfnUrl: target.dfnUrl,
+      label: target.text,
+      symbols,
+    },
   });
-  browser.contextMenus.create({
-    id: "mozsearch-diagram-calls",
-    title: "Calls diagram",
-    contexts: ["link", "page"],
+}
+
+// ## Searchfox integration
+//
+// While there's an active session we register our searchfox content script and
+// show our context menus on searchfox pages.  When the last session ends we
+// unregister the script and tell the copies already running in pages to clean
+// up.
+
+const SEARCHFOX_MATCHES = ["https://*.searchfox.org/*"];
+// Menus only make sense while there's a session.
+const SESSION_MENU_IDS = [
+  "mozsearch-diagram-uses",
+  "mozsearch-diagram-calls",
+  SPEC_EXECUTIONS_MENU_ID,
+];
+
+// The `contentScripts.RegisteredContentScript` while we're registered.
+let gSearchfoxScript = null;
+// Updates are async, so we chain them to keep them from interleaving.
+let gSearchfoxUpdate = Promise.resolve();
+
+function describeSession(session) {
+  return session && { name: session.name, traceName: session.traceName };
+}
+
+/**
+ * Bring the searchfox content script registration, context menu visibility and
+ * already-running content scripts in line with the current active session.
+ * Called whenever a session is created or ended.
+ */
+function updateSearchfoxIntegration() {
+  gSearchfoxUpdate = gSearchfoxUpdate.then(syncSearchfoxIntegration).catch((ex) => {
+    console.error("Problem updating searchfox integration", ex);
+  });
+}
+
+async function syncSearchfoxIntegration() {
+  const session = findActiveSession();
+  for (const id of SESSION_MENU_IDS) {
+    await browser.contextMenus.update(id, { visible: !!session });
+  }
+
+  const searchfoxTabs = await browser.tabs.query({ url: SEARCHFOX_MATCHES });
+  if (session && !gSearchfoxScript) {
+    console.log("Registering searchfox content script");
+    gSearchfoxScript = await browser.contentScripts.register({
+      matches: SEARCHFOX_MATCHES,
+      js: [{ file: "/searchfox.js" }],
+      runAt: "document_idle",
+    });
+    // Registration only affects pages loaded from now on.
+    for (const tab of searchfoxTabs) {
+      browser.tabs.executeScript(tab.id, { file: "/searchfox.js" }).catch((ex) => {
+        console.warn("Unable to inject searchfox content script into tab", tab.id, ex);
+      });
+    }
+  } else if (!session && gSearchfoxScript) {
+    console.log("Unregistering searchfox content script");
+    await gSearchfoxScript.unregister();
+    gSearchfoxScript = null;
+  }
+
+  // Scripts that are already running need to hear about the change, including
+  // being told to clean up if there's no longer a session.  Freshly injected
+  // scripts ask for themselves, so it's fine if they miss this.
+  for (const tab of searchfoxTabs) {
+    browser.tabs.sendMessage(tab.id, {
+      type: "searchfoxSession",
+      session: describeSession(session),
+    }).catch(() => {
+      // There's no content script in the tab; nothing to do.
+    });
+  }
+}
+
+browser.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === "searchfoxHello") {
+    return Promise.resolve(describeSession(findActiveSession()));
+  }
+  return false;
+});
+
+browser.contextMenus.create({
+  id: "mozsearch-diagram-uses",
+  title: "Uses diagram",
+  contexts: ["link", "page"],
+  documentUrlPatterns: SEARCHFOX_MATCHES,
+  // Only shown while there's an active session.
+  visible: false,
+});
+browser.contextMenus.create({
+  id: "mozsearch-diagram-calls",
+  title: "Calls diagram",
+  contexts: ["link", "page"],
+  documentUrlPatterns: SEARCHFOX_MATCHES,
+  visible: false,
+});
+browser.contextMenus.create({
+  id: SPEC_EXECUTIONS_MENU_ID,
+  title: "Show executions of the implementation",
+  contexts: ["link", "page"],
+  documentUrlPatterns: SPEC_URL_PATTERNS,
+  visible: false,
+});
+browser.contextMenus.onClicked.addListener((info, tab) => {
+  const handler = info.menuItemId === SPEC_EXECUTIONS_MENU_ID ?
+    specContextMenuClicked : searchfoxContextMenuClicked;
+  handler(info, tab).catch((ex) => {
+    console.error("Problem handling context menu", ex);
   });
-browser.contextMenus.onClicked.addListener(searchfoxContextMenuClicked)
+});
@@ -4,6 +4,10 @@
  **/
 
 import { BridgeServer } from './bridge/server.js';
+import { findBatchRefs, resolveBatchRefs } from './bridge/batch_refs.js';
+import { RequestCancelledError, serializeError } from './bridge/msg_handler.js';
+import { isNotebookKey, NOTEBOOK_KEY_PREFIX } from './bridge/notebook.js';
+import { cmpMoment, extractFocusMoment } from './pmlgrok/utils.js';
 
 function cloneData(obj) {
   return cloneInto(obj, window);
@@ -51,6 +55,10 @@ function wrapActiveInto(obj) {
   // every method, there's no opportunity for computing each prototype once.
   for (let curObj = obj; curObj !== Object.prototype; curObj = Object.getPrototypeOf(curObj)) {
     for (const key of Object.getOwnPropertyNames(curObj)) {
+      // Don't let a superclass method clobber a subclass override.
+      if (key in preWrap) {
+        continue;
+      }
       const val = curObj[key];
       if (typeof(val) === "function") {
         preWrap[key] = val.bind(obj);
@@ -61,51 +69,115 @@ function wrapActiveInto(obj) {
   return cloneInto(preWrap, window, { cloneFunctions: true });
 }
 
+/**
+ * Error used to reject a BatchHandler when pernosco tells us our query was
+ * cleared because the websocket connection was lost.
+ */
+class QueryDisconnectedError extends Error {
+  constructor() {
+    super('The pernosco connection was lost before the query completed');
+    this.name = 'QueryDisconnectedError';
+  }
+}
+
+/**
+ * Asynchronously retrieve pernosco's SourceText for the given URL, throwing if
+ * pernosco was unable to provide it.
+ */
+async function requestSourceText(pclient, url) {
+  const sourceText = await new window.Promise((resolve) => {
+    pclient.requestSource(url, false, exportFunction(resolve, window));
+  });
+  if (!sourceText) {
+    throw new Error(`Unable to resolve source for: ${url}`);
+  }
+  return sourceText;
+}
+
+/**
+ * Convert a 1-based line number and 0-based column into the client text
+ * reference (the `o` and `o8` offsets) pernosco uses for source positions.
+ */
+function sourcePositionToReference(sourceText, l, c) {
+  return sourceText.wrappedJSObject.originalTextPositionToClientTextReference(
+    cloneData({ lineNumber: l, column: c }));
+}
+
+// pernosco's stand-in for infinity when it comes to moments and offsets.
+const MAX_MOMENT_VALUE = 1125899906842624;
+
 /**
  * Build an "executions of" query centered around the UI's current position in
  * the trace.  The query will be limited to `limit` results in events occurring
  * before and after the current position.
+ *
+ * For paged queries:
+ * - `momentWindow` may be provided as `{ startMoment, endMoment }` to bound the
+ *   queries to a subset of the trace.  Either moment may be omitted.  If the
+ *   current position is outside the window, we center on the window edge.
+ * - `cursor` may be provided as `{ before, after }` where each is either a
+ *   moment or null.  In this case we only query in the directions with a
+ *   non-null moment, continuing from (but excluding) that moment.  Note that
+ *   this means that if a page boundary happened to split multiple results at
+ *   the exact same moment, the rest of that moment's results are skipped.
+ *
+ * Returns [beforeReq, afterReq, focusMoment] where either request may be null
+ * if the cursor says there's nothing to do in that direction.
  */
-async function buildRangeQuery(pclient, mixArgs, limit=50) {
+async function buildRangeQuery(pclient, mixArgs, limit=50, { momentWindow, cursor } = {}) {
   // If there are points included in the context of a URL, we need to update
   // the points to have offsets.
   if (mixArgs?.params?.url && mixArgs?.params?.points) {
     // get the SourceText
-    const sourceText = await new window.Promise((resolve) => {
-      pclient.requestSource(mixArgs.params.url, false, exportFunction(resolve, window));
-    });
+    const sourceText = await requestSourceText(pclient, mixArgs.params.url);
     let transformed = mixArgs.params.points.map(({l, c}) =>
-      sourceText.wrappedJSObject.originalTextPositionToClientTextReference(cloneData({ lineNumber: l, column: c}))
+      sourcePositionToReference(sourceText, l, c)
     );
     mixArgs.params.points = transformed;
   }
   const queryFocus = Object.assign({}, pclient.focus);
   const focusMoment = queryFocus.moment;
+
+  const windowStart = momentWindow?.startMoment || { event: 0, instr: 0 };
+  const windowEnd = momentWindow?.endMoment || {
+    event: MAX_MOMENT_VALUE,
+    instr: MAX_MOMENT_VALUE,
+  };
+  let centerMoment = focusMoment;
+  if (cmpMoment(centerMoment, windowStart) < 0) {
+    centerMoment = windowStart;
+  } else if (cmpMoment(centerMoment, windowEnd) > 0) {
+    centerMoment = windowEnd;
+  }
+
+  let beforeEndMoment = centerMoment;
+  let beforeEndOffset = MAX_MOMENT_VALUE;
+  let afterStartMoment = centerMoment;
+  if (cursor) {
+    beforeEndMoment = cursor.before;
+    beforeEndOffset = 0;
+    afterStartMoment = cursor.after;
+  }
+
   return [
-    Object.assign({
+    beforeEndMoment && Object.assign({
       focus: queryFocus,
       limits: {
-        startMoment: {
-          event: 0,
-          instr: 0,
-        },
+        startMoment: windowStart,
         startOffset: 0,
-        endMoment: focusMoment,
-        endOffset: 1125899906842624,
+        endMoment: beforeEndMoment,
+        endOffset: beforeEndOffset,
         direction: 'backward',
         lines: limit
       },
     }, mixArgs),
-    Object.assign({
+    afterStartMoment && Object.assign({
       focus: queryFocus,
       limits: {
-        startMoment: focusMoment,
-        startOffset: 1125899906842624,
-        endMoment: {
-          event: 1125899906842624,
-          instr: 1125899906842624,
-        },
-        endOffset: 1125899906842624,
+        startMoment: afterStartMoment,
+        startOffset: MAX_MOMENT_VALUE,
+        endMoment: windowEnd,
+        endOffset: MAX_MOMENT_VALUE,
         direction: 'forward',
         lines: limit
       },
@@ -123,11 +195,9 @@ async function buildSimpleQuery(pclient, mixArgs) {
   // "evaluate" has a context with line/col that needs o/o8 expansions
   if (mixArgs?.payload?.context) {
     // get the SourceText
-    const sourceText = await new window.Promise((resolve) => {
-      pclient.requestSource(mixArgs.payload.context[0], false, exportFunction(resolve, window));
-    });
+    const sourceText = await requestSourceText(pclient, mixArgs.payload.context[0]);
     const pos = mixArgs.payload.context[1];
-    mixArgs.payload.context[1] = sourceText.wrappedJSObject.originalTextPositionToClientTextReference(cloneData({ lineNumber: pos.l, column: pos.c }));
+    mixArgs.payload.context[1] = sourcePositionToReference(sourceText, pos.l, pos.c);
   }
   return Object.assign({
     focus: queryFocus,
@@ -135,6 +205,10 @@ async function buildSimpleQuery(pclient, mixArgs) {
 }
 
 
+// How many times we'll reissue a query whose results pernosco cleared because
+// its websocket connection was lost before giving up on the query.
+const QUERY_REISSUE_BUDGET = 3;
+
 /**
  * Handler that just waits for all the results to come in, then resolves its
  * promise.
@@ -150,28 +224,191 @@ class BatchHandler {
     });
 
     this.results = [];
+
+    // The current pernosco query id; this changes if we reissue the query.
+    this.queryId = null;
+    // True once pernosco is done with the query, at which point there's
+    // nothing to cancel.
+    this.closed = false;
+    this.reissuesLeft = QUERY_REISSUE_BUDGET;
+    this._openFunc = null;
+    this._wrapped = null;
+
+    // Optional hooks populated by `ActiveRequest.track`; see there.
+    this.onActivity = null;
+    this.onReissue = null;
+  }
+
+  /**
+   * Open our query by invoking `openFunc(wrappedHandler)`, which should return
+   * the pernosco query id.  We hold onto `openFunc` so that we can reissue the
+   * query if there's a disconnect.
+   */
+  open(openFunc) {
+    this._openFunc = openFunc;
+    this._wrapped = wrapActiveInto(this);
+    this.queryId = openFunc(this._wrapped);
+    return this.queryId;
   }
 
   onData(id, data) {
+    this.onActivity?.();
     this.results.push(data);
   }
 
+  /**
+   * Invoked by our own `ActiveRequest` when the client cancelled the request;
+   * the caller is responsible for actually cancelling the pernosco query.
+   * `describe` is the `{ type, name }` of the request for the error.
+   */
+  cancel(describe) {
+    this._reject(new RequestCancelledError('aborted', describe));
+  }
+
   onClose(id, hasNoMore, noResults) {
+    this.closed = true;
+    this.onActivity?.();
     this._resolve(this.results);
   }
 
+  /**
+   * Can we transparently start over if pernosco clears our query?  Subclasses
+   * that have already exposed some of the results can't.
+   */
+  canReissue() {
+    return !!this._openFunc && this.reissuesLeft > 0;
+  }
+
+  /**
+   * Forget the results we've received so far because we're reissuing.
+   */
+  resetResults() {
+    this.results = [];
+  }
+
   /**
    * Invoked when a disconnection occurs.  This allows queries to be reissued
-   * when a reconnection occurs.  If we wanted that, we could have the handler
-   * latch the query creation values and have it reset its results herein and
-   * reissue the query with this self-same handler.
+   * when a reconnection occurs, which we do by reissuing the query with this
+   * self-same handler.  Pernosco queues it for delivery upon reconnect.
    *
-   * However, everything is a big hack right now, and I'd rather avoid
-   * generating accidental load against the pernosco servers, so let's just
-   * reject in the case a disconnection occurs.
+   * To avoid generating accidental load against the pernosco servers, each
+   * handler only gets `QUERY_REISSUE_BUDGET` reissues before we reject.
    */
   onDisconnected(id) {
-    this._reject('disconnected');
+    if (!this.canReissue()) {
+      this.closed = true;
+      this.onReissue?.(false);
+      this._reject(new QueryDisconnectedError());
+      return;
+    }
+    this.reissuesLeft--;
+    this.resetResults();
+    console.log("reissuing query after disconnect", id);
+    this.queryId = this._openFunc(this._wrapped);
+    this.onReissue?.(true);
+  }
+}
+
+/**
+ * How long StreamingBatchHandler waits to accumulate rows before sending them.
+ */
+const STREAM_FLUSH_MS = 100;
+
+/**
+ * BatchHandler that additionally reports rows as they arrive by invoking
+ * `onRows(rows)`.  Rows are accumulated for up to STREAM_FLUSH_MS so that we
+ * don't end up sending a message for every single row.  The promise still
+ * resolves with all of the results.
+ */
+class StreamingBatchHandler extends BatchHandler {
+  constructor(onRows) {
+    super();
+
+    this.onRows = onRows;
+    this.pendingRows = [];
+    this.flushTimer = null;
+    this.sentRows = false;
+  }
+
+  // Once the client has seen rows, reissuing would give it duplicates.
+  canReissue() {
+    return !this.sentRows && super.canReissue();
+  }
+
+  resetResults() {
+    super.resetResults();
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.pendingRows = [];
+  }
+
+  onData(id, data) {
+    super.onData(id, data);
+    this.pendingRows.push(data);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), STREAM_FLUSH_MS);
+    }
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.pendingRows.length) {
+      return;
+    }
+    const rows = this.pendingRows;
+    this.pendingRows = [];
+    this.sentRows = true;
+    this.onRows(rows);
+  }
+
+  onClose(id, hasNoMore, noResults) {
+    this.flush();
+    super.onClose(id, hasNoMore, noResults);
+  }
+}
+
+/**
+ * Tracks the BatchHandlers created on behalf of a single client request so that
+ * a subsequent "cancel" message for that request's replyId can abort them.
+ * Rejecting the handler's promise is what causes the `onMsg_*` method to hit
+ * its `finally` block and issue the `pclient.cancelQuery` calls.
+ */
+class ActiveRequest {
+  /**
+   * `onActivity()` and `onReissue(reissued)` are propagated to the tracked
+   * handlers, which invoke them when pernosco sends them something and when
+   * they've been disconnected, respectively.  `type` and `name` describe the
+   * request for the purposes of `RequestCancelledError`.
+   */
+  constructor({ type, name, onActivity = null, onReissue = null } = {}) {
+    this.describe = { type, name };
+    this.cancelled = false;
+    this.handlers = new Set();
+    this.onActivity = onActivity;
+    this.onReissue = onReissue;
+  }
+
+  /**
+   * Register a handler we're about to open a query with.  Throws if the
+   * request was already cancelled (ex: while we were waiting on the source
+   * text), in which case there's no point opening the query at all.
+   */
+  track(handler) {
+    if (this.cancelled) {
+      throw new RequestCancelledError('aborted', this.describe);
+    }
+    this.handlers.add(handler);
+    handler.onActivity = this.onActivity;
+    handler.onReissue = this.onReissue;
+    return handler;
+  }
+
+  cancel() {
+    this.cancelled = true;
+    for (const handler of this.handlers) {
+      handler.cancel(this.describe);
+    }
   }
 }
 
@@ -233,8 +470,7 @@ class BridgeHelperView {
    *       which will be in its own key/value distinct from the stack/context.
    */
   updateStorage(updates) {
-    // TODO: Support live-updating notebook use-cases.  For now the presumption
-    // is we'll just do it on demand.
+    this.bridge.sendNotebookUpdate(updates);
   }
 
   /**
@@ -288,7 +524,7 @@ class BridgeHelperView {
    * views".
    */
   onUserHighlightChange(before, after) {
-    // NOP
+    this.bridge.sendMessage('userHighlight', { before, after });
   }
 
   /**
@@ -296,12 +532,82 @@ class BridgeHelperView {
    * `onDisconnected` which is invoked on existing queries that tells them their
    * query is being cleared without resolution and they'll need to reissue the
    * query (which they can do synchronously and where it will be queued for
-   * delivery upon reconnect).  Nothing seems to use this right now and there's
-   * no corresponding notification of connection re-establishment.
+   * delivery upon reconnect).  There's no corresponding notification of
+   * connection re-establishment, so the bridge watches for it with a query of
+   * its own.
    */
   onDisconnect() {
-    // NOP
+    this.bridge.noteConnectionLost();
+  }
+}
+
+/**
+ * Extract the notebook entries from `Client.storageData` in the same
+ * `{ key, created, creator, value }` form as the `create` records passed to
+ * `updateStorage`.  We've only seen `storageData` via `onMsg_storageDump`, so
+ * we're flexible about whether it's a Map or an object and whether its values
+ * are full records or just the values.
+ */
+function notebookEntriesFromStorageData(storageData) {
+  if (!storageData) {
+    return [];
   }
+  const pairs = (storageData instanceof Map) ?
+    Array.from(storageData.entries()) : Object.entries(storageData);
+  const entries = [];
+  for (const [key, record] of pairs) {
+    if (!isNotebookKey(key)) {
+      continue;
+    }
+    if (record && 'value' in record) {
+      entries.push({
+        key,
+        created: record.created,
+        creator: record.creator,
+        value: record.value,
+      });
+    } else {
+      entries.push({ key, created: null, creator: null, value: record });
+    }
+  }
+  return entries;
+}
+
+// How long we're willing to wait for pernosco to provide source when probing.
+const SOURCE_PROBE_TIMEOUT_MS = 5000;
+
+/**
+ * Find the notification methods of pernosco's View interface by looking at the
+ * base-most prototype of a view pernosco registered itself.  We consider
+ * methods whose names start with "on" or "update" to be notifications, as
+ * those are the ones that `BridgeHelperView` needs to duck-type.  Returns null
+ * if we couldn't find a view to examine.
+ */
+function findViewNotificationMethods(pclient, ignoreView) {
+  try {
+    for (const view of pclient.views.values()) {
+      if (view === ignoreView) {
+        continue;
+      }
+      // Walk up until the next prototype is Object.prototype, whose own
+      // prototype is null.  If the view is a plain object, there's nothing to
+      // learn from it.
+      let proto = Object.getPrototypeOf(view);
+      let parent = proto && Object.getPrototypeOf(proto);
+      if (!parent) {
+        continue;
+      }
+      while (Object.getPrototypeOf(parent)) {
+        proto = parent;
+        parent = Object.getPrototypeOf(parent);
+      }
+      return Object.getOwnPropertyNames(proto).filter(
+        name => /^(on|update)[A-Z]/.test(name) && typeof(proto[name]) === "function");
+    }
+  } catch (ex) {
+    console.warn("Problem examining pernosco views", ex);
+  }
+  return null;
 }
 
 class ContentScriptServer extends BridgeServer {
@@ -312,6 +618,20 @@ class ContentScriptServer extends BridgeServer {
       pclient: window.wrappedJSObject.client,
     });
 
+    // Maps the replyId of in-progress client requests to their ActiveRequest.
+    this.activeRequests = new Map();
+
+    // Our best understanding of the state of pernosco's websocket connection.
+    this.connectionState = {
+      state: 'connected',
+      since: Date.now(),
+      // Counts of queries reissued/failed since the connection was last lost.
+      reissuedQueries: 0,
+      failedQueries: 0,
+    };
+    // The BatchHandler of the query we use to notice reconnection, if any.
+    this._reconnectProbe = null;
+
     this.wrappedBridgeHelperView = wrapActiveInto(new BridgeHelperView({
       pclient: this.pclient,
       bridge: this,
@@ -319,6 +639,74 @@ class ContentScriptServer extends BridgeServer {
     this.pclient.addView(this.wrappedBridgeHelperView);
   }
 
+  generateConnectionStatePayload() {
+    return this.connectionState;
+  }
+
+  _updateConnectionState(changes) {
+    Object.assign(this.connectionState, changes);
+    this.sendMessage('connectionState', this.connectionState);
+  }
+
+  /**
+   * Called by `BridgeHelperView.onDisconnect` when pernosco's websocket goes
+   * away.  Any in-flight queries will then get `onDisconnected` calls, which
+   * lead to `noteQueryReissue`.
+   */
+  noteConnectionLost() {
+    console.log("pernosco connection lost");
+    this._updateConnectionState({
+      state: 'disconnected',
+      since: Date.now(),
+      reissuedQueries: 0,
+      failedQueries: 0,
+    });
+    this._watchForReconnect();
+  }
+
+  /**
+   * Pernosco doesn't tell us when it reconnects, but it queues queries issued
+   * while disconnected for delivery upon reconnect, so the first data for a
+   * query we issue now tells us the connection is back even if the client
+   * isn't asking for anything.  "stack" is about as cheap as queries get.
+   * Only one of these is outstanding at a time; if pernosco gives up on it,
+   * the next lost connection issues a new one.
+   */
+  _watchForReconnect() {
+    if (this._reconnectProbe) {
+      return;
+    }
+    const handler = this._reconnectProbe = new BatchHandler();
+    handler.onActivity = () => this.noteQueryActivity();
+    handler.open(wrapped => this.pclient.openQuery(
+      'stack', cloneData({ focus: Object.assign({}, this.pclient.focus), params: {} }), wrapped));
+    handler.promise.catch((ex) => {
+      console.log("reconnect probe query failed", ex);
+    }).finally(() => {
+      if (this._reconnectProbe === handler) {
+        this._reconnectProbe = null;
+      }
+    });
+  }
+
+  /**
+   * Called by query handlers (including our reconnect probe) whenever pernosco
+   * sends them anything, as data can only arrive over a live connection.
+   */
+  noteQueryActivity() {
+    if (this.connectionState.state === 'disconnected') {
+      console.log("pernosco connection re-established");
+      this._updateConnectionState({ state: 'connected', since: Date.now() });
+    }
+  }
+
+  noteQueryReissue(reissued) {
+    const { reissuedQueries, failedQueries } = this.connectionState;
+    this._updateConnectionState(reissued ?
+      { reissuedQueries: reissuedQueries + 1 } :
+      { failedQueries: failedQueries + 1 });
+  }
+
   generateStatusReportPayload(options) {
     const pclient = this.pclient;
     let annotation = options ? options.annotation : pclient.lastAnnotation;
@@ -329,6 +717,90 @@ class ContentScriptServer extends BridgeServer {
     };
   }
 
+  /**
+   * Probe the pernosco client internals we depend on.  The results are cached
+   * since pernosco isn't going to change out from under us without a reload.
+   */
+  probeCapabilities() {
+    if (!this._capabilitiesPromise) {
+      this._capabilitiesPromise = this._probeCapabilities();
+      // Don't cache failures; the next hello can try again.
+      this._capabilitiesPromise.catch(() => {
+        this._capabilitiesPromise = null;
+      });
+    }
+    return this._capabilitiesPromise;
+  }
+
+  async _probeCapabilities() {
+    const pclient = this.pclient;
+    const isFunc = (obj, name) => typeof(obj?.[name]) === "function";
+    const capabilities = [];
+    const details = {};
+
+    if (isFunc(pclient, 'openQuery') && isFunc(pclient, 'cancelQuery')) {
+      capabilities.push('query', 'batchQuery');
+    }
+    if (isFunc(pclient, 'setFocus') && isFunc(pclient, 'willSetFocus')) {
+      capabilities.push('focus');
+    }
+    if (isFunc(pclient, 'requestSource')) {
+      // We can only check the SourceText if there's a current source to ask
+      // for, otherwise we optimistically assume it's fine since our results
+      // are cached for the life of the page.
+      const url = pclient.source?.url;
+      if (!url) {
+        capabilities.push('sourcePositions', 'sourceText');
+      } else {
+        let timeoutId = null;
+        try {
+          const sourceText = await Promise.race([
+            requestSourceText(pclient, url),
+            new Promise((resolve, reject) => {
+              timeoutId = setTimeout(
+                () => reject(new Error('Timed out')), SOURCE_PROBE_TIMEOUT_MS);
+            }),
+          ]);
+          if (isFunc(sourceText.wrappedJSObject, 'originalTextPositionToClientTextReference')) {
+            capabilities.push('sourcePositions');
+            if (typeof(sourceText.wrappedJSObject.text) === 'string') {
+              capabilities.push('sourceText');
+            }
+          }
+        } catch (ex) {
+          console.warn("Problem probing source positions", ex);
+          details.sourceProbeError = String(ex);
+        } finally {
+          clearTimeout(timeoutId);
+        }
+      }
+    }
+    if (isFunc(pclient, 'doUserHighlightChange')) {
+      capabilities.push('highlights');
+    }
+    if (pclient.storageData !== undefined) {
+      capabilities.push('storage');
+      if (isFunc(pclient, 'updateStorage')) {
+        capabilities.push('notebookWrite');
+      }
+    }
+
+    const viewMethods = findViewNotificationMethods(pclient, this.wrappedBridgeHelperView);
+    if (viewMethods) {
+      // Notifications pernosco may send that we don't know about.
+      details.unhandledViewMethods = viewMethods.filter(
+        name => !(name in BridgeHelperView.prototype));
+    }
+    // We need to be able to register as a view and pernosco needs to still be
+    // sending the focus change notification.
+    if (isFunc(pclient, 'addView') &&
+        (!viewMethods || viewMethods.includes('onFocusChange'))) {
+      capabilities.push('statusReports');
+    }
+
+    return { capabilities, details };
+  }
+
   /**
    * Simple wrapper around Client.openQuery to make sure we pass `{ api: 1 }` in
    * the options dictionary so that it's possible to distinguish calls via this
@@ -338,6 +810,30 @@ class ContentScriptServer extends BridgeServer {
     return this.pclient.openQuery(name, req, handler, cloneData({ api: 1 }));
   }
 
+  /**
+   * Begin tracking a request so that it can be cancelled.  Requests without a
+   * replyId can't be cancelled by the client but we still hand back an
+   * ActiveRequest so the `onMsg_*` logic doesn't need to care.
+   */
+  _beginRequest(msg) {
+    const request = new ActiveRequest({
+      type: msg?.type,
+      name: msg?.payload?.name,
+      onActivity: () => this.noteQueryActivity(),
+      onReissue: (reissued) => this.noteQueryReissue(reissued),
+    });
+    if (msg?.replyId) {
+      this.activeRequests.set(msg.replyId, request);
+    }
+    return request;
+  }
+
+  _endRequest(msg) {
+    if (msg?.replyId) {
+      this.activeRequests.delete(msg.replyId);
+    }
+  }
+
   /**
    * Generate and send a status report for the UI.  If `options` is provided,
    * it's assumed to be the options from `View.onFocusChange` that includes an
@@ -348,11 +844,40 @@ class ContentScriptServer extends BridgeServer {
     this.sendMessage('statusReport', this.generateStatusReportPayload(options));
   }
 
-  onMsg_focus({ focus, source }) {
+  /**
+   * Forward the notebook subset of storage updates from `updateStorage`.
+   */
+  sendNotebookUpdate(updates) {
+    const notebookUpdates = updates.filter(
+      update => isNotebookKey(update.create?.key ?? update.deleted?.key));
+    if (notebookUpdates.length) {
+      this.sendMessage('notebookUpdate', { updates: notebookUpdates });
+    }
+  }
+
+  /**
+   * Seek pernosco to the given focus.  The optional `annotation` PML is passed
+   * through as the "annotation" option which ends up in `client.lastAnnotation`
+   * and in our `onFocusChange` notification; see there.
+   */
+  onMsg_focus({ focus, source, annotation }) {
     console.log('Setting focus to', focus);
     this.pclient.willSetFocus(this.wrappedBridgeHelperView);
-    // TODO: Allow propagating the annotation.
-    this.pclient.setFocus(cloneData(focus), cloneData(source), this.wrappedBridgeHelperView, cloneData({}));
+    const options = annotation ? { annotation } : {};
+    this.pclient.setFocus(cloneData(focus), cloneData(source), this.wrappedBridgeHelperView, cloneData(options));
+  }
+
+  /**
+   * Fetch the source for `url`, replying with `{ url, text }`.
+   */
+  async onMsg_source({ url }, reply) {
+    const sourceText = await requestSourceText(this.pclient, url);
+    const text = sourceText.wrappedJSObject.text;
+    // We may have optimistically claimed `sourceText` without checking.
+    if (typeof(text) !== 'string') {
+      throw new Error(`Pernosco provided no text for source: ${url}`);
+    }
+    reply({ url, text });
   }
 
   /**
@@ -370,41 +895,221 @@ class ContentScriptServer extends BridgeServer {
     reply(this.pclient.storageData);
   }
 
-  async onMsg_simpleQuery({ name, mixArgs }, reply) {
+  /**
+   * The current notebook entries, which the client uses to initialize its
+   * mirror before it starts receiving "notebookUpdate" messages.
+   */
+  onMsg_notebookSnapshot({}, reply) {
+    reply(notebookEntriesFromStorageData(this.pclient.storageData));
+  }
+
+  /**
+   * Add a notebook entry with the given `text` at `focus`, replying with
+   * `{ key }`.  If `ordering` isn't provided, the entry is placed after any
+   * existing entries at the same moment.  Like pernosco we use a partially
+   * random ordering to avoid collisions with other sessions doing the same.
+   */
+  onMsg_addNotebookEntry({ focus, text, ordering }, reply) {
+    if (ordering === undefined || ordering === null) {
+      let maxOrdering = 0;
+      for (const entry of notebookEntriesFromStorageData(this.pclient.storageData)) {
+        const moment = entry.value?.focus?.moment;
+        if (moment && cmpMoment(moment, focus.moment) === 0) {
+          maxOrdering = Math.max(maxOrdering, entry.value.ordering || 0);
+        }
+      }
+      ordering = maxOrdering + 1 + Math.random() / 2;
+    }
+
+    const key = `${NOTEBOOK_KEY_PREFIX}${Math.round(Math.random() * 10 ** 15)}`;
+    this.pclient.updateStorage(cloneData([
+      { create: { key, value: { focus, ordering, text } } },
+    ]));
+    reply({ key });
+  }
+
+  onMsg_removeNotebookEntry({ key }, reply) {
+    if (!isNotebookKey(key)) {
+      throw new Error(`Not a notebook key: ${key}`);
+    }
+    this.pclient.updateStorage(cloneData([{ deleted: { key } }]));
+    reply({ key });
+  }
+
+  /**
+   * Replace the highlight `before` with `after`, either of which may be null
+   * to add or remove a highlight.  Pernosco will tell all views about it,
+   * including us, so the client will hear about it via "userHighlight".
+   */
+  onMsg_changeUserHighlight({ before, after }) {
+    this.pclient.doUserHighlightChange(cloneData(before), cloneData(after));
+  }
+
+  /**
+   * The client gave up on a request, either because of a timeout or because it
+   * was explicitly aborted.
+   */
+  onMsg_cancel({ replyId }) {
+    const request = this.activeRequests.get(replyId);
+    if (!request) {
+      return;
+    }
+    console.log('cancelling request', replyId);
+    request.cancel();
+  }
+
+  async onMsg_simpleQuery(payload, reply, msg) {
+    const request = this._beginRequest(msg);
+    try {
+      reply(await this._runSimpleQuery(request, payload));
+    } finally {
+      this._endRequest(msg);
+    }
+  }
+
+  /**
+   * Run an "executions of"-style query for `limit` results before and after the
+   * current focus.  If `stream` is true, rows are instead sent to the client
+   * as "queryData" partial replies of the form `{ direction, rows }` as they
+   * arrive, where `direction` is "before" or "after", and the reply itself has
+   * a null payload and `streamed: true` in its `extra`.  Note that "before"
+   * rows are in descending order, moving away from the focus.
+   *
+   * If `paged` is true, the reply's `extra` will include a `cursor` of the form
+   * `{ before, after }` that can be passed back to us to get the next page of
+   * results.  Each of `before` and `after` is the boundary moment of the
+   * results in that direction if the limit was hit, or null if there are no
+   * more results in that direction.  `momentWindow` can be used to bound the
+   * queries; see `buildRangeQuery`.
+   */
+  async onMsg_rangeQuery(payload, reply, msg) {
+    const request = this._beginRequest(msg);
+    try {
+      const sendPartial = payload.stream ? reply?.sendPartial : null;
+      const [results, extra] =
+        await this._runRangeQuery(request, payload, sendPartial);
+      if (sendPartial) {
+        // The client already has all of the rows from the partial replies.
+        reply(null, Object.assign({}, extra, { streamed: true }));
+      } else {
+        reply(results, extra);
+      }
+    } finally {
+      this._endRequest(msg);
+    }
+  }
+
+  /**
+   * Run a list of `{ type, payload }` sub-queries, where `type` is
+   * "simpleQuery" or "rangeQuery", replying with a list of `{ result, extra }`
+   * or `{ error }` in the same order.  Payloads can reference the results of
+   * earlier items; see `batch_refs.js`.  Each item is started as soon as the
+   * items it references have completed, so independent items run in
+   * parallel.  An item that references a failed item also fails.
+   */
+  async onMsg_batchQuery({ queries }, reply, msg) {
+    const request = this._beginRequest(msg);
+    try {
+      const outcomes = [];
+      for (let i = 0; i < queries.length; i++) {
+        const { type, payload } = queries[i];
+        const refs = Array.from(findBatchRefs(payload));
+        outcomes.push((async () => {
+          if (refs.some(ref => !(ref >= 0 && ref < i))) {
+            throw new Error(`batchQuery item ${i} can only reference earlier items`);
+          }
+          const refOutcomes = await Promise.allSettled(refs.map(ref => outcomes[ref]));
+          if (refOutcomes.some(outcome => outcome.status === 'rejected')) {
+            throw new Error(`batchQuery item ${i} references a failed item`);
+          }
+          const resolved = resolveBatchRefs(
+            payload, (ref) => refOutcomes[refs.indexOf(ref)].value.result);
+
+          if (type === 'simpleQuery') {
+            return { result: await this._runSimpleQuery(request, resolved) };
+          } else if (type === 'rangeQuery') {
+            const [result, extra] = await this._runRangeQuery(request, resolved, null);
+            return { result, extra };
+          }
+          throw new Error(`Unsupported batchQuery item type: ${type}`);
+        })());
+      }
+
+      const settled = await Promise.allSettled(outcomes);
+      const items = settled.map((outcome, i) => {
+        if (outcome.status === 'fulfilled') {
+          return outcome.value;
+        }
+        return { error: serializeError(outcome.reason, queries[i]) };
+      });
+      // If the client went away, there's no point in replying with a list of
+      // cancellation errors.
+      if (request.cancelled) {
+        throw new RequestCancelledError('aborted', { type: 'batchQuery' });
+      }
+      reply(items);
+    } finally {
+      this._endRequest(msg);
+    }
+  }
+
+  async _runSimpleQuery(request, { name, mixArgs }) {
     console.log('processing simple query for', name);
-    let queryId;
+    let handler = null;
     try {
       const req = await buildSimpleQuery(this.pclient, mixArgs);
-      const handler = new BatchHandler();
-      queryId = this.pclient.openQuery(name, cloneData(req), wrapActiveInto(handler));
-      const results = await handler.promise;
-      queryId = null;
-
-      reply(results)
+      handler = request.track(new BatchHandler());
+      handler.open(wrapped => this.pclient.openQuery(name, cloneData(req), wrapped));
+      return await handler.promise;
     } finally {
-      if (queryId) {
-        this.pclient.cancelQuery(queryId);
+      this._cancelUnclosedQueries(handler);
+    }
+  }
+
+  /**
+   * Cancel the pernosco queries of the given handlers (which may be null) that
+   * pernosco isn't done with.
+   */
+  _cancelUnclosedQueries(...handlers) {
+    for (const handler of handlers) {
+      if (handler?.queryId && !handler.closed) {
+        this.pclient.cancelQuery(handler.queryId);
       }
     }
   }
 
-  async onMsg_rangeQuery({ name, limit, mixArgs }, reply) {
+  /**
+   * The guts of `onMsg_rangeQuery`, returning `[results, extra]`.  If
+   * `sendPartial` is provided, results are streamed through it as they arrive.
+   */
+  async _runRangeQuery(request, { name, limit, mixArgs, paged, cursor, momentWindow }, sendPartial) {
     console.log('processing range query', name, mixArgs);
-    let beforeQueryId, afterQueryId;
+    let beforeHandler = null, afterHandler = null;
     try {
       const useLimit = limit || 50;
-      const [beforeReq, afterReq, focusMoment] = await buildRangeQuery(this.pclient, mixArgs, useLimit);
+      const [beforeReq, afterReq, focusMoment] = await buildRangeQuery(
+        this.pclient, mixArgs, useLimit, paged ? { momentWindow, cursor } : {});
       console.log("query", name, beforeReq, afterReq);
-      const beforeHandler = new BatchHandler();
-      beforeQueryId = this._openQuery(name, cloneData(beforeReq), wrapActiveInto(beforeHandler));
+      const makeHandler = (direction) => {
+        if (sendPartial) {
+          return new StreamingBatchHandler((rows) => {
+            sendPartial('queryData', { direction, rows });
+          });
+        }
+        return new BatchHandler();
+      };
 
-      const afterHandler = new BatchHandler();
-      afterQueryId = this._openQuery(name, cloneData(afterReq), wrapActiveInto(afterHandler));
+      if (beforeReq) {
+        beforeHandler = request.track(makeHandler('before'));
+        beforeHandler.open(wrapped => this._openQuery(name, cloneData(beforeReq), wrapped));
+      }
+      if (afterReq) {
+        afterHandler = request.track(makeHandler('after'));
+        afterHandler.open(wrapped => this._openQuery(name, cloneData(afterReq), wrapped));
+      }
 
-      const beforeResults = await beforeHandler.promise;
-      beforeQueryId = null;
-      const afterResults = await afterHandler.promise;
-      afterQueryId = null;
+      const beforeResults = beforeHandler ? await beforeHandler.promise : [];
+      const afterResults = afterHandler ? await afterHandler.promise : [];
 
       // The before results end up being provided in descending order which is
       // annoying for our purposes, so reverse them.
@@ -417,17 +1122,21 @@ class ContentScriptServer extends BridgeServer {
         afterCount: afterResults.length,
         limit: useLimit,
       };
+      if (paged) {
+        extra.momentWindow = momentWindow || null;
+        extra.cursor = {
+          before: (beforeResults.length >= useLimit) ?
+            extractFocusMoment(beforeResults[0]) : null,
+          after: (afterResults.length >= useLimit) ?
+            extractFocusMoment(afterResults[afterResults.length - 1]) : null,
+        };
+      }
 
-      reply(results, extra);
+      return [results, extra];
     } finally {
       // Ensure we always terminate the query on the way out if initialized and
       // we're not sure it closed.
-      if (beforeQueryId) {
-        this.pclient.cancelQuery(beforeQueryId);
-      }
-      if (afterQueryId) {
-        this.pclient.cancelQuery(afterQueryId);
-      }
+      this._cancelUnclosedQueries(beforeHandler, afterHandler);
     }
   }
 }
@@ -0,0 +1,131 @@
+/**
+ * This is the content script that the background script registers for
+ * searchfox pages while there's an active pernosco session.  When the session
+ * goes away the background script unregisters us, but we're still running in
+ * any pages that were already loaded, so it tells us to clean up after
+ * ourselves via a "searchfoxSession" message with a null session.
+ *
+ * While there's a session we also connect to it as a client of the pernosco
+ * tab's server (via a "searchfox:"-prefixed port name) so that we can decorate
+ * the source listing with execution data; see `searchfox/decorations.js`.
+ *
+ * Messages from the background script:
+ * - searchfoxSession `{ session }`: The active session changed, where session
+ *   is `{ name, traceName }` or null if there's no longer an active session.
+ **/
+
+import { BridgeClient } from './bridge/client.js';
+import { RuntimeIssuingTransport } from './bridge/transports.js';
+import { normalizePmlPayload } from './pmlgrok/grokker.js';
+import { cmpMoment } from './pmlgrok/utils.js';
+import { SourceDecorator } from './searchfox/decorations.js';
+
+const INDICATOR_ID = 'mozsearch-bridge-indicator';
+
+class SearchfoxIntegration {
+  constructor() {
+    this.session = null;
+    this.client = null;
+    this.decorator = null;
+    this._onMessage = this._onMessage.bind(this);
+    browser.runtime.onMessage.addListener(this._onMessage);
+  }
+
+  async start() {
+    // We may have been injected (or loaded) just after the session ended, so
+    // check what the current state of affairs is.
+    const session = await browser.runtime.sendMessage({ type: 'searchfoxHello' });
+    this.setSession(session);
+  }
+
+  _onMessage(msg) {
+    if (msg?.type === 'searchfoxSession') {
+      this.setSession(msg.session);
+    }
+  }
+
+  setSession(session) {
+    if (!session) {
+      this.cleanup();
+      return;
+    }
+    if (session.name !== this.session?.name) {
+      this._disconnect();
+      this.session = session;
+      this._connect();
+    }
+    this._updateIndicator();
+  }
+
+  _connect() {
+    let lastMoment = null;
+    this.client = new BridgeClient({
+      transport: new RuntimeIssuingTransport(`searchfox:${this.session.name}`),
+      traceName: this.session.traceName,
+      // We don't want to use the searchfox origin's storage for our cache.
+      cacheHelper: null,
+      normalizeReceivedPayload: normalizePmlPayload,
+      // Execution counts and lines run are relative to the focus, so redecorate
+      // whenever it moves.
+      onStatusReport: (statusReport) => {
+        const moment = statusReport?.focus?.moment;
+        if (moment && (!lastMoment || cmpMoment(moment, lastMoment) !== 0)) {
+          lastMoment = moment;
+          this.decorator.decorate().catch((ex) => {
+            console.error("Problem decorating searchfox", ex);
+          });
+        }
+      },
+    });
+    this.decorator = new SourceDecorator(this.client);
+  }
+
+  _disconnect() {
+    this.decorator?.cleanup();
+    this.decorator = null;
+    this.client?.close();
+    this.client = null;
+  }
+
+  _updateIndicator() {
+    let eIndicator = document.getElementById(INDICATOR_ID);
+    if (!eIndicator) {
+      eIndicator = document.createElement('div');
+      eIndicator.id = INDICATOR_ID;
+      Object.assign(eIndicator.style, {
+        position: 'fixed',
+        bottom: '0.5em',
+        right: '0.5em',
+        padding: '0.25em 0.5em',
+        background: '#ddf',
+        border: '1px solid #88c',
+        fontSize: 'smaller',
+        zIndex: 1000,
+      });
+      document.body.appendChild(eIndicator);
+    }
+    eIndicator.textContent = `pernosco: ${this.session.traceName}`;
+  }
+
+  /**
+   * Remove everything we've added to the page and stop listening, leaving the
+   * page as if we'd never been here so that a future session can inject us
+   * again.
+   */
+  cleanup() {
+    this._disconnect();
+    this.session = null;
+    document.getElementById(INDICATOR_ID)?.remove();
+    browser.runtime.onMessage.removeListener(this._onMessage);
+    delete window.mozsearchBridgeSearchfox;
+  }
+}
+
+// We can end up both registered and explicitly injected into already-open
+// pages, so make sure we only run once per page.
+if (!window.mozsearchBridgeSearchfox) {
+  window.mozsearchBridgeSearchfox = new SearchfoxIntegration();
+  window.mozsearchBridgeSearchfox.start().catch((ex) => {
+    console.error(ex);
+  });
+}
@@ -1,9 +1,18 @@
-import { BridgeClient } from './bridge/client.js';
+import { BridgeClient, highlightKey } from './bridge/client.js';
+import { FocusHistory } from './bridge/focus_history.js';
+import { NOTEBOOK_KEY_PREFIX } from './bridge/notebook.js';
+import { SessionRecorder } from './bridge/recorder.js';
+import { ReplayServer } from './bridge/replay.js';
+import { createInMemoryTransportPair } from './bridge/transports.js';
 
 import { Timeline } from "vis-timeline/peer";
 import { DataSet } from "vis-data/peer";
 
 import { loadAnalyzer } from './analyzer/analyzer.js';
+import {
+  downloadCacheArchive, exportCacheArchive, importCacheArchive, readCacheArchive
+} from './analyzer/cache_archive.js';
+import { CallDiagram } from './analyzer/call_diagram.js';
 
 import { grokPML, grokPMLRows, normalizePmlPayload } from './pmlgrok/grokker.js';
 
@@ -12,30 +21,261 @@ console.log('app js loaded');
 let gMoment;
 
 let gNextReqId = 1;
-let client = new BridgeClient({
-  normalizeReceivedPayload: normalizePmlPayload,
-  onStatusReport(statusReport) {
-    console.log("Got status report:", statusReport);
-    const statusElem = document.getElementById('status-content');
-    statusElem.innerHTML = "";
-    //statusElem.appendChild(prettifyData(statusReport));
-    /*
-    if (statusReport.annotation) {
-      prettifyPmlInto(statusReport.annotation, statusElem);
-    }
-    */
-    if (statusReport.focus) {
-      const moment = statusReport.focus.moment;
-      statusElem.textContent = `Event: ${moment.event} Instr: ${moment.instr}`;
 
-      gMoment = moment;
+/**
+ * Create our client; by default this talks to the pernosco tab via the
+ * background page, but we use a different transport when replaying a
+ * recording.
+ */
+function createClient(options = {}) {
+  return new BridgeClient(Object.assign({
+    normalizeReceivedPayload: normalizePmlPayload,
+    onStatusReport(statusReport) {
+      console.log("Got status report:", statusReport);
+      const statusElem = document.getElementById('status-content');
+      statusElem.innerHTML = "";
+      //statusElem.appendChild(prettifyData(statusReport));
+      /*
+      if (statusReport.annotation) {
+        prettifyPmlInto(statusReport.annotation, statusElem);
+      }
+      */
+      if (statusReport.focus) {
+        const moment = statusReport.focus.moment;
+        statusElem.textContent = `Event: ${moment.event} Instr: ${moment.instr}`;
+
+        gMoment = moment;
 
-      if (gTimelineSeek) {
-        gTimelineSeek(moment);
+        if (gTimelineSeek) {
+          gTimelineSeek(moment);
+        }
       }
+      updateSourcePane(statusReport.source);
+    },
+    onCompatibility: updateCompatibility,
+    onConnectionState: updateConnectionBanner,
+    onShowDiagram({ direction, symbol }) {
+      showCallDiagram(symbol, direction).catch(reportError);
+    },
+    onShowImplementationExecutions({ dfnUrl, label, symbols }) {
+      showImplementationExecutions(dfnUrl, label, symbols).catch(reportError);
+    },
+    onHighlightsChange(highlights) {
+      updateHighlightItems();
+    },
+    onNotebookChange(notebook) {
+      renderNotebook(notebook);
+      updateNotebookMarkers();
+    },
+    onQueueChange({ queued, inFlight }) {
+      const queueElem = document.getElementById('queue-status');
+      if (queued || inFlight) {
+        queueElem.textContent = `Queries: ${inFlight} in flight, ${queued} queued`;
+      } else {
+        queueElem.textContent = '';
+      }
+    },
+  }, options));
+}
+
+let client = createClient();
+
+const gFocusHistory = new FocusHistory({ onChange: renderFocusHistory });
+
+/**
+ * Seek pernosco to `focus`, recording it in the focus history under `label`,
+ * which is also provided to pernosco as the annotation for the moment.
+ */
+function seekToFocus(focus, label) {
+  label = label || `Event ${focus.moment?.event}`;
+  gFocusHistory.push(focus, label, { fromFocus: client.statusReport?.focus });
+  client.setFocus(focus, { annotation: label });
+}
+
+// Seek to an existing history entry without creating a new one.
+function seekToHistoryEntry(entry) {
+  if (entry) {
+    client.setFocus(entry.focus, { annotation: entry.label });
+  }
+}
+
+function renderFocusHistory(history) {
+  document.getElementById('focus-back').disabled = !history.canGoBack;
+  document.getElementById('focus-forward').disabled = !history.canGoForward;
+
+  const eRecent = document.getElementById('focus-recent');
+  eRecent.innerHTML = '';
+  // Most recent first.
+  for (let i = history.entries.length - 1; i >= 0; i--) {
+    const { focus, label } = history.entries[i];
+    const eOption = document.createElement('option');
+    eOption.value = i;
+    eOption.textContent = `${label} (event ${focus.moment?.event})`;
+    eOption.selected = i === history.index;
+    eRecent.appendChild(eOption);
+  }
+  eRecent.disabled = history.entries.length === 0;
+}
+
+function startRecording() {
+  client.startRecording(new SessionRecorder({ traceName: client.traceName }));
+  document.getElementById('recording-start').disabled = true;
+  document.getElementById('recording-stop').disabled = false;
+  document.getElementById('recording-status').textContent = 'Recording...';
+}
+
+function stopRecording() {
+  const recorder = client.stopRecording();
+  document.getElementById('recording-start').disabled = false;
+  document.getElementById('recording-stop').disabled = true;
+  if (recorder) {
+    document.getElementById('recording-status').textContent =
+      `Recorded ${recorder.exchanges.length} requests.`;
+    recorder.download();
+  }
+}
+
+/**
+ * Replace our client with one talking to a `ReplayServer` for the given
+ * recording file.  There's no going back other than reloading the page.
+ */
+async function loadRecording(file) {
+  const archive = JSON.parse(await file.text());
+  const [clientTransport, serverTransport] = createInMemoryTransportPair();
+  // Create the server first so that a bad archive doesn't cost us our client.
+  new ReplayServer(archive, { transport: serverTransport });
+
+  stopRecording();
+  client.close();
+  client = createClient({
+    transport: clientTransport,
+    traceName: archive.traceName,
+    // Replayed results shouldn't pollute the cache.
+    cacheHelper: null,
+  });
+  document.getElementById('recording-start').disabled = true;
+  document.getElementById('recording-status').textContent =
+    `Replaying ${file.name} (${archive.exchanges.length} requests); reload to go back to pernosco.`;
+}
+
+/**
+ * Disable the UI features that depend on capabilities the server told us it
+ * lacks (as declared by `data-requires` attributes in the markup) and show a
+ * banner explaining what's wrong, if anything.
+ */
+function updateCompatibility(compat) {
+  for (const elem of document.querySelectorAll('[data-requires]')) {
+    const required = elem.dataset.requires.split(' ');
+    const missing = required.filter(name => compat.missing.includes(name));
+    elem.disabled = missing.length > 0;
+    elem.title = missing.length ? `Unavailable, missing: ${missing.join(', ')}` : '';
+  }
+
+  const problems = [];
+  if (!compat.versionMatches) {
+    problems.push(`The pernosco tab is running bridge protocol version ${compat.protocolVersion} which doesn't match this UI; try reloading both tabs.`);
+  }
+  if (compat.missing.length) {
+    problems.push(`Pernosco seems to have changed; these features are unavailable: ${compat.missingDescriptions.join(', ')}.`);
+  }
+  if (compat.details.probeError) {
+    problems.push(`Unable to check what pernosco supports: ${compat.details.probeError}`);
+  }
+  if (compat.details.unhandledViewMethods?.length) {
+    problems.push(`Pernosco view notifications we don't know about: ${compat.details.unhandledViewMethods.join(', ')}.`);
+  }
+
+  const eBanner = document.getElementById('compat-banner');
+  eBanner.textContent = problems.join(' ');
+  eBanner.hidden = problems.length === 0;
+}
+
+/**
+ * Show a banner while the pernosco tab has lost its connection to the pernosco
+ * servers, and after it comes back if any queries couldn't be reissued.
+ */
+function updateConnectionBanner({ state, since, reissuedQueries, failedQueries }) {
+  const eBanner = document.getElementById('connection-banner');
+  const when = new Date(since).toLocaleTimeString();
+  const failed = failedQueries ?
+    ` ${failedQueries} queries failed and need to be run again.` : '';
+  if (state === 'disconnected') {
+    eBanner.textContent = `Pernosco lost its connection to the server at ${when}; ${reissuedQueries} queries will be reissued when it reconnects.${failed}`;
+    eBanner.hidden = false;
+  } else if (failed) {
+    eBanner.textContent = `Pernosco reconnected at ${when}.${failed}`;
+    eBanner.hidden = false;
+  } else {
+    eBanner.hidden = true;
+  }
+}
+
+// The URL of the source in the Source tab and the elements for its lines.
+let gSourceUrl = null;
+let gSourceLineElems = [];
+
+/**
+ * Show the given status report `source` in the Source tab, fetching it if it's
+ * not the file we're already showing, and highlight its focus line.
+ */
+async function updateSourcePane(source) {
+  if (!source?.url || !client.hasCapability('sourceText')) {
+    return;
+  }
+  if (source.url !== gSourceUrl) {
+    gSourceUrl = source.url;
+    gSourceLineElems = [];
+    document.getElementById('source-url').textContent = source.url;
+    const eContent = document.getElementById('source-content');
+    eContent.textContent = 'Loading...';
+    let text;
+    try {
+      ({ text } = await client.fetchSource(source.url));
+    } catch (ex) {
+      eContent.textContent = `Unable to load source: ${ex.message}`;
+      return;
     }
-  },
-});
+    // We may have moved on to another file while waiting.
+    if (gSourceUrl !== source.url) {
+      return;
+    }
+    renderSource(text);
+  }
+  highlightSourceLine(source.pos?.l?.[0]);
+}
+
+function renderSource(text) {
+  const eContent = document.getElementById('source-content');
+  eContent.innerHTML = '';
+  gSourceLineElems = text.split('\n').map((lineText, idx) => {
+    const eLine = document.createElement('div');
+    eLine.setAttribute('class', 'source-line');
+    eLine.sourceLine = idx + 1;
+
+    const eLineNo = document.createElement('span');
+    eLineNo.setAttribute('class', 'source-lineno');
+    eLineNo.textContent = `${idx + 1}`.padStart(6) + ' ';
+    eLine.appendChild(eLineNo);
+    eLine.appendChild(document.createTextNode(lineText));
+
+    eContent.appendChild(eLine);
+    return eLine;
+  });
+}
+
+function highlightSourceLine(line) {
+  for (const eLine of document.querySelectorAll('.source-focus-line')) {
+    eLine.classList.remove('source-focus-line');
+  }
+  const eLine = gSourceLineElems[line - 1];
+  if (!eLine) {
+    return;
+  }
+  eLine.classList.add('source-focus-line');
+  // Center the line in the pane without scrolling the whole page.
+  const eContent = document.getElementById('source-content');
+  eContent.scrollTop = eLine.offsetTop - eContent.clientHeight / 2;
+}
 
 /**
  * Normalize a tuid into a string so that we can use it for key purposes.
@@ -269,7 +509,40 @@ function prettifyPmlInto(node, into, depth=0) {
 function grokAndPrettifyInto(node, into, depth=0, mode) {
   const result = grokPML(node, mode);
 
-  into.appendChild(prettifyData(result));
+  // Grokked calls know their focus, which lets us offer to note them.
+  const focus = (result?.queried || result)?.meta?.focusInfo;
+  if (focus) {
+    const elem = document.createElement('div');
+    elem.usingFocus = focus;
+    elem.appendChild(makeNoteButton());
+    elem.appendChild(prettifyData(result));
+    into.appendChild(elem);
+  } else {
+    into.appendChild(prettifyData(result));
+  }
+}
+
+/**
+ * Create an "add note here" button which is handled by the "output-content"
+ * click handler using the focus of the nearest ancestor with a `usingFocus`.
+ */
+function makeNoteButton() {
+  const btn = document.createElement('input');
+  btn.type = 'button';
+  btn.value = 'Note';
+  btn.title = 'Add a pernosco notebook entry here';
+  return btn;
+}
+
+/**
+ * Ask the user for the text of a notebook entry and add it at `focus`.
+ */
+async function promptAndAddNote(focus, suggestedText = '') {
+  const text = window.prompt('Notebook entry:', suggestedText);
+  if (!text) {
+    return;
+  }
+  await client.addNotebookEntry(focus, text);
 }
 
 function prettifyQueryResults(rowHandler, resultRows, mode) {
@@ -322,6 +595,9 @@ function prettifyLogs(resultRows) {
         const text = document.createTextNode(item?.pml?.c?.[0]?.c?.[0]);
         ePre.appendChild(text);
       }
+      if (ePre.usingFocus) {
+        ePre.appendChild(makeNoteButton());
+      }
     } else {
       ePre.appendChild(document.createTextNode("\n"));
     }
@@ -348,10 +624,24 @@ function shortSymbolName(name) {
  */
 let gTimelineData;
 let gTimelineGroups;
-let gLastIngestedRows;
+// The rows we've already added to the timeline data.  This is tracked per-row
+// because streamed results grow their result array in place.
+let gIngestedRows = new WeakSet();
 let gTimeline;
 let gTimelineSeek;
+// Maps a moment to a time on the current timeline, which depends on which
+// of the render modes is in use.
+let gTimelineMomentToTime;
 let gTimelineDataGen = 0;
+// The custom-time ids of the notebook markers currently on the timeline.
+let gNotebookMarkerIds = new Set();
+// The ids of the background items we've added to the timeline data for
+// pernosco user highlights.
+let gHighlightItemIds = new Set();
+
+// The color we use for highlights we create if we haven't seen pernosco use
+// one yet; after that we use whatever pernosco used most recently.
+let gHighlightColor = '#fd0';
 
 const EVENT_SCALE = 100;
 
@@ -359,10 +649,14 @@ const EVENT_SCALE = 100;
 // with `renderTimelineFromAnalysis` which renders the derived hierarchical
 // object lifetimes from `analyzer.js`.
 function renderTimelineFromRows(rows, container, mode) {
-  // Only process this data if we haven't already processed it.  (We don't want
-  // switching between rendering modes to keep adding duplicate data.)
-  if (gLastIngestedRows !== rows) {
-    gLastIngestedRows = rows;
+  // Only process rows we haven't already processed.  (We don't want switching
+  // between rendering modes to keep adding duplicate data, and streamed results
+  // will hand us the same rows again along with the new ones.)
+  const newRows = rows.filter(row => !gIngestedRows.has(row));
+  if (newRows.length) {
+    for (const row of newRows) {
+      gIngestedRows.add(row);
+    }
 
     if (!gTimelineData) {
       gTimelineGroups = new DataSet();
@@ -372,7 +666,7 @@ function renderTimelineFromRows(rows, container, mode) {
     const groups = gTimelineGroups;
     const data = gTimelineData;
 
-    const results = grokPMLRows(rows);
+    const results = grokPMLRows(newRows);
     for (let call of results) {
       let printed = null;
       if (call.queried) {
@@ -431,6 +725,8 @@ function renderTimelineFromRows(rows, container, mode) {
     }
   }
 
+  gTimelineMomentToTime = (moment) => moment.event;
+
   // Our client listener looks for this global and will invoke it when the
   // pernosco session is seeked, allowing us to remain synchronized.
   gTimelineSeek = (moment) => {
@@ -463,6 +759,8 @@ function renderTimelineFromAnalysis(analyzer, container) {
   analyzer.renderIntoVisJs(gTimelineGroups, gTimelineData);
   console.log('used analyzer', analyzer, gTimelineGroups);
 
+  gTimelineMomentToTime = (moment) => analyzer.mapMomentToSeqId(moment);
+
   gTimelineSeek = (moment) => {
     const targetSeqId = analyzer.mapMomentToSeqId(moment);
 
@@ -539,21 +837,299 @@ function renderTimeline(container, doStack=true, groupOrder) {
         console.log('BACKGROUND GROUP', group);
         const focusInfo = group?.extra?.inst?.constructorExec?.call?.meta?.focusInfo;
         if (focusInfo) {
-          client.setFocus(focusInfo);
+          seekToFocus(focusInfo, `Construction of ${group.content}`);
         } else {
           console.log('No focus info; not trying to focus.');
         }
       }
     });
+    gTimeline.on('doubleClick', ({ item: itemId }) => {
+      const item = itemId !== null ? gTimelineData.get(itemId) : null;
+      if (item?.extra?.focus) {
+        promptAndAddNote(item.extra.focus).catch(reportError);
+      }
+    });
+    // Right-clicking an item toggles a pernosco highlight of its moment.
+    gTimeline.on('contextmenu', ({ item: itemId, event }) => {
+      const item = itemId !== null ? gTimelineData.get(itemId) : null;
+      const moment = item?.extra?.focus?.moment;
+      if (!moment || !client.hasCapability('highlights')) {
+        return;
+      }
+      event.preventDefault();
+      const highlighted = client.highlights.has(highlightKey(moment));
+      client.setUserHighlight(moment, highlighted ? null : gHighlightColor);
+    });
     gTimeline.on('select', ({items, event}) => {
       if (items.length !== 1) {
         return;
       }
       const item = gTimelineData.get(items[0]);
       console.log('Trying to focus', item);
-      client.setFocus(item.extra.focus);
+      seekToFocus(item.extra.focus, timelineItemLabel(item));
     });
   }
+
+  // The render mode may have changed how moments map to times.
+  updateNotebookMarkers();
+  updateHighlightItems();
+}
+
+/**
+ * A plain-text label for a timeline item for the focus history.  Item content
+ * may have extra HTML lines for the logged values, so we only use the first.
+ */
+function timelineItemLabel(item) {
+  return item.title || `${item.content}`.split('<br>')[0];
+}
+
+/**
+ * Synchronize the timeline's highlight background items with the highlights
+ * pernosco has told the client about.
+ */
+function updateHighlightItems() {
+  if (!gTimeline) {
+    return;
+  }
+  gTimelineData.remove(Array.from(gHighlightItemIds));
+  gHighlightItemIds.clear();
+
+  for (const [key, { moment, color }] of client.highlights) {
+    gHighlightColor = color;
+    const id = `highlight-${key}`;
+    const time = gTimelineMomentToTime(moment);
+    gTimelineData.add({
+      id,
+      type: 'background',
+      // Give the highlight a minimal width so it's visible.
+      start: time,
+      end: time + 1,
+      style: `background-color: ${color}; opacity: 0.6;`,
+      title: `Pernosco highlight at event ${moment.event}`,
+    });
+    gHighlightItemIds.add(id);
+  }
+}
+
+function notebookEntryLabel(entry) {
+  return entry.value.text || entry.creator?.name || 'note';
+}
+
+/**
+ * Synchronize the timeline's notebook markers with the client's notebook.
+ */
+function updateNotebookMarkers() {
+  if (!gTimeline) {
+    return;
+  }
+  for (const id of gNotebookMarkerIds) {
+    gTimeline.removeCustomTime(id);
+  }
+  gNotebookMarkerIds.clear();
+
+  for (const entry of client.notebook.sortedEntries()) {
+    const id = `notebook-${entry.key.substring(NOTEBOOK_KEY_PREFIX.length)}`;
+    gTimeline.addCustomTime(gTimelineMomentToTime(entry.value.focus.moment), id);
+    gTimeline.setCustomTimeMarker(notebookEntryLabel(entry), id, false);
+    gNotebookMarkerIds.add(id);
+  }
+}
+
+/**
+ * Render the notebook grouped by focus moment into the Notebook tab.
+ */
+function renderNotebook(notebook) {
+  const eContent = document.getElementById('notebook-content');
+  eContent.innerHTML = '';
+
+  const groups = notebook.groupByMoment();
+  if (!groups.length) {
+    eContent.textContent = 'The notebook is empty.';
+    return;
+  }
+
+  for (const { moment, focus, entries } of groups) {
+    const eGroup = document.createElement('div');
+    eGroup.setAttribute('class', 'notebook-group');
+
+    const eHeader = document.createElement('a');
+    eHeader.setAttribute('class', 'notebook-focus');
+    eHeader.textContent = `Event: ${moment.event} Instr: ${moment.instr}`;
+    eHeader.usingFocus = focus;
+    eGroup.appendChild(eHeader);
+
+    // Entries at the same moment may still be for different frames, so each
+    // gets to focus itself.
+    for (const entry of entries) {
+      const eEntry = document.createElement('div');
+      eEntry.setAttribute('class', 'notebook-entry notebook-focus');
+      eEntry.usingFocus = entry.value.focus;
+      if (entry.value.text) {
+        eEntry.textContent = entry.value.text;
+      } else if (entry.value.pml) {
+        prettifyPmlInto(entry.value.pml, eEntry);
+      }
+      if (client.hasCapability('notebookWrite')) {
+        const eRemove = document.createElement('input');
+        eRemove.type = 'button';
+        eRemove.value = 'Remove';
+        eRemove.setAttribute('class', 'notebook-remove');
+        eRemove.notebookKey = entry.key;
+        eEntry.appendChild(eRemove);
+      }
+      eGroup.appendChild(eEntry);
+    }
+
+    eContent.appendChild(eGroup);
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MiB`;
+  }
+  if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(1)} KiB`;
+  }
+  return `${bytes} B`;
+}
+
+function formatTimestamp(ts) {
+  return ts ? new Date(ts).toLocaleString() : '';
+}
+
+const CACHE_TABLE_COLUMNS = [
+  'Type', 'Name', 'Naming Key', 'Results', 'Hits', 'Misses', 'Limit Hit',
+  'Size', 'Last Used', 'Last Updated', '',
+];
+
+function makeCacheButton(value, className, props) {
+  const eButton = document.createElement('input');
+  eButton.type = 'button';
+  eButton.value = value;
+  eButton.setAttribute('class', className);
+  Object.assign(eButton, props);
+  return eButton;
+}
+
+/**
+ * Render everything in the query cache into the Cache tab, grouped by trace
+ * name.  Entries can only be refreshed for our own trace since that requires
+ * re-running their queries.
+ */
+async function renderCacheInspector() {
+  const eSummary = document.getElementById('cache-summary');
+  const eContent = document.getElementById('cache-content');
+  const cacheHelper = client.cacheHelper;
+  if (!cacheHelper) {
+    eSummary.textContent = 'Caching is disabled for this session.';
+    eContent.innerHTML = '';
+    return;
+  }
+
+  eSummary.textContent = 'Loading...';
+  const entries = await cacheHelper.listEntries();
+
+  const entriesByTrace = new Map();
+  for (const entry of entries) {
+    const traceName = entry.key[0];
+    if (!entriesByTrace.has(traceName)) {
+      entriesByTrace.set(traceName, []);
+    }
+    entriesByTrace.get(traceName).push(entry);
+  }
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  eSummary.textContent =
+    `${entries.length} entries for ${entriesByTrace.size} traces, ${formatBytes(totalSize)}`;
+  eContent.innerHTML = '';
+
+  for (const [traceName, traceEntries] of entriesByTrace) {
+    const isCurrentTrace = traceName === client.traceName;
+    const traceSize = traceEntries.reduce((sum, entry) => sum + entry.size, 0);
+
+    const eHeader = document.createElement('h4');
+    if (isCurrentTrace) {
+      eHeader.setAttribute('class', 'cache-current-trace');
+    }
+    eHeader.textContent =
+      `${traceName}${isCurrentTrace ? ' (current)' : ''}: ${traceEntries.length} entries, ${formatBytes(traceSize)} `;
+    eHeader.appendChild(makeCacheButton('Export', 'cache-export-trace', { cacheTraceName: traceName }));
+    eHeader.appendChild(makeCacheButton('Delete Trace', 'cache-delete-trace', { cacheTraceName: traceName }));
+    eContent.appendChild(eHeader);
+
+    const eTable = document.createElement('table');
+    eTable.setAttribute('class', 'cache-table');
+    const eHeaderRow = document.createElement('tr');
+    for (const column of CACHE_TABLE_COLUMNS) {
+      const eTh = document.createElement('th');
+      eTh.textContent = column;
+      eHeaderRow.appendChild(eTh);
+    }
+    eTable.appendChild(eHeaderRow);
+
+    for (const entry of traceEntries) {
+      const [, type, name, namingKey] = entry.key;
+      const results = entry.results;
+      const sum = (field) => results.reduce((acc, result) => acc + result[field], 0);
+      const limitHitCount = results.filter(result => result.limitHit).length;
+      const intervalCount = sum('intervalCount');
+
+      const eRow = document.createElement('tr');
+      const cells = [
+        type, name, JSON.stringify(namingKey),
+        intervalCount ? `${results.length} (${intervalCount} intervals)` : results.length,
+        sum('hitCount'), sum('missCount'), `${limitHitCount}/${results.length}`,
+        formatBytes(entry.size), formatTimestamp(entry.lastUsed),
+        formatTimestamp(entry.lastUpdated),
+      ];
+      for (const cell of cells) {
+        const eTd = document.createElement('td');
+        eTd.textContent = cell;
+        eRow.appendChild(eTd);
+      }
+
+      const eActions = document.createElement('td');
+      eActions.appendChild(makeCacheButton('View', 'cache-view', { cacheKey: entry.key }));
+      if (isCurrentTrace) {
+        eActions.appendChild(makeCacheButton('Refresh', 'cache-refresh', { cacheKey: entry.key }));
+      }
+      eActions.appendChild(makeCacheButton('Delete', 'cache-delete', { cacheKey: entry.key }));
+      eRow.appendChild(eActions);
+
+      eTable.appendChild(eRow);
+    }
+    eContent.appendChild(eTable);
+  }
+}
+
+async function viewCacheEntry(key) {
+  const eView = document.getElementById('cache-entry-view');
+  const record = await client.cacheHelper.getEntry(key);
+  eView.textContent = record ? JSON.stringify(record, null, 2) : 'This entry no longer exists.';
+  eView.hidden = false;
+}
+
+async function exportCachedTrace(traceName) {
+  const archive = await exportCacheArchive(client.cacheHelper, traceName);
+  await downloadCacheArchive(archive);
+}
+
+async function importCachedTrace(file) {
+  const eStatus = document.getElementById('cache-import-status');
+  if (!client.cacheHelper) {
+    eStatus.textContent = 'Caching is disabled for this session.';
+    return;
+  }
+  const conflict = document.getElementById('cache-import-conflict').value;
+  eStatus.textContent = `Importing ${file.name}...`;
+  const archive = await readCacheArchive(file);
+  const { added, replaced, merged, skipped } =
+    await importCacheArchive(client.cacheHelper, archive, { conflict });
+  eStatus.textContent =
+    `Imported ${archive.records.length} entries for ${archive.traceName}: ` +
+    `${added} added, ${replaced} replaced, ${merged} merged, ${skipped} skipped.`;
+  await renderCacheInspector();
 }
 
 let gMostRecentResults = null;
@@ -621,13 +1197,14 @@ function renderCurrentResults() {
   gLastRender = gRenderMode;
 }
 
+/**
+ * Show executions of a symbol, rendering the results as they stream in so that
+ * slow traces show something before both the before and after queries finish.
+ */
 async function queryExecutions(symName, print) {
-  const eOutput = document.getElementById('output-content');
-  // This is our brand for ensuring we still should be the one outputting there.
-  const reqId = eOutput.reqId = gNextReqId++;
+  let mode = print ? 'executions-with-print' : 'executions';
 
-  const results = await client.sendMessageAwaitingReply(
-    'rangeQuery',
+  await streamRangeQueryInto(
     {
       name: 'execution',
       limit: 250,
@@ -637,11 +1214,54 @@ async function queryExecutions(symName, print) {
           print
         },
       },
-    });
+    },
+    mode);
+}
 
-  let mode = print ? 'executions-with-print' : 'executions';
+/**
+ * Show the hits of a breakpoint on the given (1-based) line of `url`, like
+ * `queryExecutions`.
+ */
+async function queryBreakpoint(url, line, print) {
+  await streamRangeQueryInto(
+    {
+      name: 'breakpoint',
+      limit: 250,
+      mixArgs: {
+        params: {
+          url,
+          // These get converted to pernosco offsets by the server.
+          points: [{ l: line, c: 0 }],
+          print
+        },
+      },
+    },
+    'breakpoint');
+}
 
-  if (eOutput.reqId === reqId) {
+async function streamRangeQueryInto(payload, mode) {
+  const eOutput = document.getElementById('output-content');
+  // This is our brand for ensuring we still should be the one outputting there.
+  const reqId = eOutput.reqId = gNextReqId++;
+
+  // We keep the results in ascending order as they arrive, mutating the array
+  // in place.  "before" rows arrive in descending order, with each subsequent
+  // chunk further from the focus.  The final chunk has all of the results.
+  const results = [];
+  const stream = client.streamRangeQuery(payload);
+  for await (const { direction, rows } of stream) {
+    // Stop iterating (which cancels the query) if we've been superseded.
+    if (eOutput.reqId !== reqId) {
+      break;
+    }
+
+    if (direction === 'before') {
+      results.unshift(...[...rows].reverse());
+    } else if (direction === 'after') {
+      results.push(...rows);
+    } else {
+      results.splice(0, results.length, ...rows);
+    }
     prettifyQueryResultsInto(results, eOutput, mode);
   }
 }
@@ -942,20 +1562,37 @@ async function queryEvaluate(symName) {
   }
 }
 
-function extractPointerAndTypeFromRawValue(rawResults) {
-  const row = rawResults[0];
-  const grokked = grokPML(row.value, "evaluate");
-  const producer = grokked?.value?.values?.[0]?.producer;
-  if (producer) {
-    let type;
-    if (producer.size === 8) {
-      type = "uint64_t";
-    } else {
-      type = "uint32_t";
-    }
-    return [`0x${producer.address.toString(16)}`, type];
-  }
-  return [null, null];
+/**
+ * Build the batch of queries to evaluate the pointer `symName` and then run a
+ * watchpoint query on the address it points to.
+ */
+function buildEvaluateAndWatchQueries(symName) {
+  const pointerRef = (path) => ({ $ref: 0, extractor: 'evaluatedPointer', path });
+  return [
+    {
+      type: 'simpleQuery',
+      payload: {
+        name: 'evaluate',
+        mixArgs: {
+          focus: client.statusReport.focus,
+          payload: buildEvalPayload(symName),
+        },
+      },
+    },
+    {
+      type: 'rangeQuery',
+      payload: {
+        name: 'watchpoint',
+        limit: 111,
+        mixArgs: {
+          params: {
+            address: pointerRef(['address']),
+            type: pointerRef(['type']),
+          },
+        },
+      },
+    },
+  ];
 }
 
 async function queryEvaluateAndWatch(symName) {
@@ -963,32 +1600,13 @@ async function queryEvaluateAndWatch(symName) {
   // This is our brand for ensuring we still should be the one outputting there.
   const reqId = eOutput.reqId = gNextReqId++;
 
-  const rawResults = await client.sendMessageAwaitingReply(
-    'simpleQuery',
-    {
-      name: 'evaluate',
-      mixArgs: {
-        focus: client.statusReport.focus,
-        payload: buildEvalPayload(symName),
-      },
-    });
-
-  const [address, type] = extractPointerAndTypeFromRawValue(rawResults);
-  const results = await client.sendMessageAwaitingReply(
-    'rangeQuery',
-    {
-      name: 'watchpoint',
-      limit: 111,
-      mixArgs: {
-        params: {
-          address,
-          type,
-        },
-      },
-    });
+  const [, watchItem] = await client.batchQuery(buildEvaluateAndWatchQueries(symName));
+  if (watchItem.error) {
+    throw watchItem.error;
+  }
 
   if (eOutput.reqId === reqId) {
-    prettifyQueryResultsInto(results, eOutput, 'watchpoint');
+    prettifyQueryResultsInto(watchItem.result, eOutput, 'watchpoint');
   }
 }
 
@@ -997,29 +1615,11 @@ async function queryEvaluateAndWatchAndRefcountTrace(symName) {
   // This is our brand for ensuring we still should be the one outputting there.
   const reqId = eOutput.reqId = gNextReqId++;
 
-  const rawResults = await client.sendMessageAwaitingReply(
-    'simpleQuery',
-    {
-      name: 'evaluate',
-      mixArgs: {
-        focus: client.statusReport.focus,
-        payload: buildEvalPayload(symName),
-      },
-    });
-
-  const [address, type] = extractPointerAndTypeFromRawValue(rawResults);
-  const rawWatchResults = await client.sendMessageAwaitingReply(
-    'rangeQuery',
-    {
-      name: 'watchpoint',
-      limit: 111,
-      mixArgs: {
-        params: {
-          address,
-          type,
-        },
-      },
-    });
+  const [, watchItem] = await client.batchQuery(buildEvaluateAndWatchQueries(symName));
+  if (watchItem.error) {
+    throw watchItem.error;
+  }
+  const rawWatchResults = watchItem.result;
 
   // (Now we have the history of the values over time.)
 
@@ -1086,6 +1686,101 @@ async function runAnalyzer() {
   }
 }
 
+/**
+ * Show the executions of the first of the candidate `symbols` for the spec dfn
+ * at `dfnUrl` that pernosco knows about.  The candidates are guesses, so we
+ * probe each with a single-result query.
+ */
+async function showImplementationExecutions(dfnUrl, label, symbols) {
+  for (const symbol of symbols) {
+    const results = await client.sendMessageAwaitingReply(
+      'rangeQuery',
+      {
+        name: 'execution',
+        limit: 1,
+        mixArgs: {
+          params: {
+            symbol,
+          },
+        },
+      });
+    if (results.length) {
+      document.getElementById('symbol-name').value = symbol;
+      await queryExecutions(symbol);
+      return;
+    }
+  }
+  throw new Error(`No executions found for "${label}" (${dfnUrl}); tried: ${symbols.join(', ') || 'nothing'}`);
+}
+
+// Aborts the queries of the call diagram being populated, if any.
+let gCallDiagramAbort = null;
+
+/**
+ * Show a caller/callee diagram for `symbol`.  Since we don't have graphviz
+ * anymore, we show the edges as a list along with the dot source.  Showing a
+ * diagram cancels any diagram that's still being populated.
+ */
+async function showCallDiagram(symbol, direction) {
+  const eOutput = document.getElementById('output-content');
+  // This is our brand for ensuring we still should be the one outputting there.
+  const reqId = eOutput.reqId = gNextReqId++;
+  eOutput.textContent = `Finding executions of ${symbol}...`;
+
+  gCallDiagramAbort?.abort();
+  const abortController = gCallDiagramAbort = new AbortController();
+
+  const diagram = new CallDiagram({ symbol, direction });
+  const render = () => {
+    if (eOutput.reqId !== reqId) {
+      return;
+    }
+    eOutput.innerHTML = '';
+    renderCallDiagramInto(diagram, eOutput);
+  };
+  try {
+    await diagram.populate(client, { signal: abortController.signal, onProgress: render });
+  } catch (ex) {
+    // We were superseded by another diagram, which is now using the output.
+    if (abortController.signal.aborted) {
+      return;
+    }
+    if (eOutput.reqId === reqId) {
+      eOutput.textContent = `Unable to show the diagram: ${ex.message}`;
+    }
+    throw ex;
+  } finally {
+    if (gCallDiagramAbort === abortController) {
+      gCallDiagramAbort = null;
+    }
+  }
+  render();
+}
+
+function renderCallDiagramInto(diagram, into) {
+  const eHeader = document.createElement('div');
+  eHeader.textContent = `${diagram.direction === 'callers' ? 'Callers of' : 'Callees of'} ${diagram.symbol}: sampled ${diagram.sampledCount} of ${diagram.executionCount} executions`;
+  into.appendChild(eHeader);
+
+  if (diagram.failedCount) {
+    const eFailed = document.createElement('div');
+    eFailed.textContent = `Missing results for ${diagram.failedCount} of the sampled executions: ${diagram.lastError?.message}`;
+    into.appendChild(eFailed);
+  }
+
+  const eList = document.createElement('ul');
+  for (const { from, to, count } of diagram.sortedEdges()) {
+    const eEdge = document.createElement('li');
+    eEdge.textContent = `${from} \u2192 ${to} (${count})`;
+    eList.appendChild(eEdge);
+  }
+  into.appendChild(eList);
+
+  const eDot = document.createElement('pre');
+  eDot.textContent = diagram.renderToDot();
+  into.appendChild(eDot);
+}
+
 // BROKEN: Removed the graphviz WASM/asm.js dep, so we no longer have graphviz.
 async function runVisualizer() {
   if (gAnalyzer) {
@@ -1111,6 +1806,38 @@ async function runVisualizer() {
   }
 }
 
+/**
+ * Display an error for a failed query.  Our query functions are invoked without
+ * being awaited by their event listeners, so this gets used as our
+ * "unhandledrejection" handler.  Errors from the pernosco side will be
+ * `BridgeRemoteError` instances that have the name and stack of the original
+ * error and the name of the query that failed.
+ */
+function reportError(err) {
+  const eRegion = document.getElementById('error-region');
+  const eContent = document.getElementById('error-content');
+  eContent.innerHTML = '';
+
+  const name = err?.remoteName || err?.name || 'Error';
+  const queryPart = err?.queryName ? ` in query "${err.queryName}"` : '';
+  const eMessage = document.createElement('div');
+  eMessage.textContent = `${name}${queryPart}: ${err?.message ?? err}`;
+  eContent.appendChild(eMessage);
+
+  const stack = err?.remoteStack || err?.stack;
+  if (stack) {
+    const eStack = document.createElement('pre');
+    eStack.textContent = stack;
+    eContent.appendChild(eStack);
+  }
+
+  eRegion.hidden = false;
+}
+
+window.addEventListener('unhandledrejection', (evt) => {
+  reportError(evt.reason);
+});
+
 let gLastFocus = null;
 
 function findClosestFocus(target, initialFocus=null) {
@@ -1154,6 +1881,11 @@ function showTab(newHeaderElem) {
   newHeaderElem.setAttribute('selected', true);
 
   location.hash = newTabName;
+
+  // The cache changes underneath us all the time, so refresh it when shown.
+  if (newTabName === 'cache') {
+    renderCacheInspector().catch(reportError);
+  }
 }
 
 window.addEventListener('load', () => {
@@ -1252,7 +1984,21 @@ window.addEventListener('load', () => {
       let focus = findClosestFocus(evt.target);
       if (focus) {
         console.log("Trying to focus", focus);
-        client.setFocus(focus);
+        seekToFocus(focus, evt.target.textContent.trim());
+      }
+      return;
+    }
+
+    // Handle "add note here" requests
+    if (evt.target.tagName === 'INPUT' &&
+        evt.target.type === 'button' &&
+        evt.target.value === 'Note') {
+      evt.preventDefault();
+      evt.stopPropagation();
+
+      let focus = findClosestFocus(evt.target);
+      if (focus) {
+        promptAndAddNote(focus).catch(reportError);
       }
       return;
     }
@@ -1278,6 +2024,98 @@ window.addEventListener('load', () => {
     }
   });
 
+  document.getElementById('notebook-content').addEventListener('click', (evt) => {
+    if (evt.target.classList.contains('notebook-remove')) {
+      evt.preventDefault();
+      if (window.confirm('Remove this entry from the pernosco notebook?')) {
+        client.removeNotebookEntry(evt.target.notebookKey).catch(reportError);
+      }
+      return;
+    }
+    const eFocus = evt.target.closest('.notebook-focus');
+    if (eFocus?.usingFocus) {
+      evt.preventDefault();
+      seekToFocus(eFocus.usingFocus, `Note: ${eFocus.textContent.trim()}`);
+    }
+  });
+
+  document.getElementById('source-content').addEventListener('click', (evt) => {
+    const eLine = evt.target.closest('.source-line');
+    if (!eLine || !gSourceUrl) {
+      return;
+    }
+    const print = document.getElementById('source-print').value || undefined;
+    queryBreakpoint(gSourceUrl, eLine.sourceLine, print).catch(reportError);
+  });
+
+  document.getElementById('focus-back').addEventListener('click', (evt) => {
+    seekToHistoryEntry(gFocusHistory.back());
+  });
+
+  document.getElementById('focus-forward').addEventListener('click', (evt) => {
+    seekToHistoryEntry(gFocusHistory.forward());
+  });
+
+  document.getElementById('focus-recent').addEventListener('change', (evt) => {
+    seekToHistoryEntry(gFocusHistory.goTo(parseInt(evt.target.value, 10)));
+  });
+
+  document.getElementById('recording-start').addEventListener('click', (evt) => {
+    startRecording();
+  });
+
+  document.getElementById('recording-stop').addEventListener('click', (evt) => {
+    stopRecording();
+  });
+
+  document.getElementById('recording-load').addEventListener('change', (evt) => {
+    const file = evt.target.files[0];
+    if (file) {
+      loadRecording(file).catch(reportError);
+    }
+  });
+
+  document.getElementById('cache-reload').addEventListener('click', (evt) => {
+    renderCacheInspector().catch(reportError);
+  });
+
+  document.getElementById('cache-import').addEventListener('change', (evt) => {
+    const file = evt.target.files[0];
+    if (file) {
+      importCachedTrace(file).catch(reportError);
+    }
+    // Allow importing the same file again.
+    evt.target.value = '';
+  });
+
+  document.getElementById('cache-content').addEventListener('click', (evt) => {
+    const eTarget = evt.target;
+    if (eTarget.classList.contains('cache-view')) {
+      viewCacheEntry(eTarget.cacheKey).catch(reportError);
+    } else if (eTarget.classList.contains('cache-refresh')) {
+      eTarget.disabled = true;
+      client.refreshCached(eTarget.cacheKey)
+        .then(renderCacheInspector)
+        .catch(reportError);
+    } else if (eTarget.classList.contains('cache-delete')) {
+      client.cacheHelper.deleteEntry(eTarget.cacheKey)
+        .then(renderCacheInspector)
+        .catch(reportError);
+    } else if (eTarget.classList.contains('cache-export-trace')) {
+      exportCachedTrace(eTarget.cacheTraceName).catch(reportError);
+    } else if (eTarget.classList.contains('cache-delete-trace')) {
+      if (window.confirm(`Delete all cached results for ${eTarget.cacheTraceName}?`)) {
+        client.cacheHelper.deleteTrace(eTarget.cacheTraceName)
+          .then(renderCacheInspector)
+          .catch(reportError);
+      }
+    }
+  });
+
+  document.getElementById('error-region').addEventListener('click', (evt) => {
+    evt.currentTarget.hidden = true;
+  });
+
   const eTabHeaders = document.getElementById('tab-headers');
   eTabHeaders.addEventListener('click', (evt) => {
     if (evt.target && evt.target.parentNode === eTabHeaders) {
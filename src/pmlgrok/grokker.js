@@ -1481,7 +1481,7 @@ function findItemType(pml) {
  * TODO: Things will get more complicated when print expressions get involved.
  */
 function grokRootPML(ctx, pml, mode, results, focus) {
-  window.LAST_ROOT_PML = pml;
+  globalThis.LAST_ROOT_PML = pml;
   if (mode === "evaluate") {
     let result;
     result = ctx.runGrokkerOnNode(grokFunctionArgValue, pml, "root-evaluate");
@@ -47,9 +47,13 @@ export function inMomentRange(startMomentInclusive, checkMoment, endMomentInclus
 // `{ items: [ { focus, pml } ] }` but I haven't refreshed my understanding of the
 // permutations from `grokker.js` so we're going to add some warnings and we can
 // do a pass if we see those.
+//
+// Returns null (after warning) if there's no focus.  Paged range query cursors
+// and the cache's range query coverage depend on this returning the moment for
+// well-formed rows.
 export function extractFocusMoment(rowOrPml) {
     const maybeFocus = rowOrPml?.items?.[0]?.focus;
-    if (maybeFocus) {
+    if (!maybeFocus) {
         console.warn("No known focus found in", rowOrPml);
         return null;
     }
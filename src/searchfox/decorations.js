@@ -0,0 +1,257 @@
+/**
+ * Decorate searchfox source listings with execution data from the active
+ * pernosco session:
+ * - Function definitions get a badge with the number of executions near the
+ *   current focus.  Clicking the badge seeks pernosco to the nearest one.
+ * - Lines get a marker if they ran during the nearest execution of the function
+ *   containing them, based on the "glyphMarginDecoration" points of a
+ *   "dynamicAnnotations" query (see `Analyzer._doTrace`).
+ *
+ * Searchfox marks up definitions with the "syn_def" class and a "data-symbols"
+ * attribute, providing pretty names via the page's `SYM_INFO` global.  Line
+ * numbers are found via "data-line-number" attributes.
+ */
+
+import { grokPML } from '../pmlgrok/grokker.js';
+
+// How many executions to look for in each direction from the focus.
+const EXECUTION_LIMIT = 50;
+// How many functions on a page we'll query; every one costs queries.
+const MAX_DECORATED_FUNCTIONS = 40;
+
+const STYLE_ID = 'mozsearch-bridge-style';
+const BADGE_CLASS = 'mozsearch-bridge-badge';
+const LINE_CLASS_PREFIX = 'mozsearch-bridge-ran-';
+
+const STYLE_TEXT = `
+.${BADGE_CLASS} {
+  display: inline-block;
+  margin-left: 0.5em;
+  padding: 0 0.25em;
+  border-radius: 0.25em;
+  background-color: #ddf;
+  font-size: smaller;
+  cursor: pointer;
+}
+.${BADGE_CLASS}.mozsearch-bridge-none {
+  background-color: #eee;
+  cursor: default;
+}
+.${LINE_CLASS_PREFIX}strong {
+  box-shadow: inset -3px 0 0 #4a4;
+}
+.${LINE_CLASS_PREFIX}weak:not(.${LINE_CLASS_PREFIX}strong) {
+  box-shadow: inset -3px 0 0 #ac8;
+}
+`;
+
+/**
+ * Find the line number of the source line containing `elem`.
+ */
+function lineNumberOf(elem) {
+  const row = elem.closest('.source-line-with-number');
+  const lineElem = row?.querySelector('[data-line-number]');
+  if (lineElem) {
+    return parseInt(lineElem.dataset.lineNumber, 10);
+  }
+  // Older searchfox has `<code id="line-N">` elements.
+  const match = /^line-(\d+)$/.exec(elem.closest('code[id^="line-"]')?.id || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * The repository-relative path of the file the page is showing, from searchfox
+ * URLs like "/mozilla-central/source/dom/base/Document.cpp".
+ */
+function searchfoxSourcePath() {
+  return /\/source\/(.+)$/.exec(location.pathname)?.[1] || null;
+}
+
+function lineNumberElem(line) {
+  return document.querySelector(`[data-line-number="${line}"]`);
+}
+
+/**
+ * Find the function definitions on the page as a list of
+ * `{ elem, pretty, line }`.
+ */
+function findFunctionDefs() {
+  const symInfo = window.wrappedJSObject.SYM_INFO || {};
+  const defs = [];
+  const seen = new Set();
+  for (const elem of document.querySelectorAll('.syn_def[data-symbols]')) {
+    const syms = elem.dataset.symbols.split(',');
+    const pretty = syms.map(sym => symInfo[sym]?.pretty).find(x => x);
+    if (!pretty || seen.has(pretty)) {
+      continue;
+    }
+    // There's no explicit "this is a function" marker, so we look for a call
+    // paren following the definition.
+    const following = elem.nextSibling?.textContent || '';
+    if (!following.trimStart().startsWith('(')) {
+      continue;
+    }
+    const line = lineNumberOf(elem);
+    if (line === null) {
+      continue;
+    }
+    seen.add(pretty);
+    defs.push({ elem, pretty, line });
+  }
+  return defs;
+}
+
+/**
+ * Of the (ascending) `rows` from a "rangeQuery" whose first `beforeCount` rows
+ * are before the focus, return the row closest to the focus.
+ */
+function nearestRow(rows, beforeCount, focusMoment) {
+  const before = rows[beforeCount - 1];
+  const after = rows[beforeCount];
+  if (!before || !after || !focusMoment) {
+    return before || after || null;
+  }
+  const beforeDelta = focusMoment.event - before.items[0].focus.moment.event;
+  const afterDelta = after.items[0].focus.moment.event - focusMoment.event;
+  return beforeDelta <= afterDelta ? before : after;
+}
+
+export class SourceDecorator {
+  constructor(client) {
+    this.client = client;
+    this.abortController = null;
+  }
+
+  /**
+   * (Re)decorate the page relative to the client's current focus, abandoning
+   * any decoration that's still in progress.
+   */
+  async decorate() {
+    this.abortController?.abort();
+    const abortController = this.abortController = new AbortController();
+    const signal = abortController.signal;
+
+    this.removeDecorations();
+    if (!document.getElementById(STYLE_ID)) {
+      const eStyle = document.createElement('style');
+      eStyle.id = STYLE_ID;
+      eStyle.textContent = STYLE_TEXT;
+      document.head.appendChild(eStyle);
+    }
+
+    const defs = findFunctionDefs().slice(0, MAX_DECORATED_FUNCTIONS);
+    await Promise.all(defs.map(async (def) => {
+      try {
+        await this._decorateFunction(def, signal);
+      } catch (ex) {
+        if (!signal.aborted) {
+          console.warn("Problem decorating", def.pretty, ex);
+        }
+      }
+    }));
+  }
+
+  async _decorateFunction({ elem, pretty }, signal) {
+    const [rows, extra] = await this.client.sendMessageAwaitingReply(
+      'rangeQuery',
+      {
+        name: 'execution',
+        limit: EXECUTION_LIMIT,
+        mixArgs: {
+          params: {
+            symbol: pretty,
+          },
+        },
+      },
+      { signal, priority: 'bulk', withExtra: true });
+    if (signal.aborted) {
+      return;
+    }
+
+    const beforeCount = extra?.beforeCount ?? 0;
+    const truncated = extra &&
+      (extra.beforeCount >= EXECUTION_LIMIT || extra.afterCount >= EXECUTION_LIMIT);
+    const nearest = nearestRow(
+      rows, beforeCount, this.client.statusReport?.focus?.moment);
+
+    const eBadge = document.createElement('span');
+    eBadge.className = BADGE_CLASS;
+    eBadge.textContent = `${rows.length}${truncated ? '+' : ''} runs`;
+    if (nearest) {
+      const focus = nearest.items[0].focus;
+      eBadge.title = `Seek pernosco to the nearest execution (event ${focus.moment.event})`;
+      eBadge.addEventListener('click', (evt) => {
+        evt.preventDefault();
+        evt.stopPropagation();
+        this.client.setFocus(focus, { annotation: `Execution of ${pretty}` });
+      });
+    } else {
+      eBadge.classList.add('mozsearch-bridge-none');
+      eBadge.title = 'No executions in the trace';
+    }
+    elem.after(eBadge);
+
+    if (nearest) {
+      await this._markLinesRunBy(nearest, signal);
+    }
+  }
+
+  async _markLinesRunBy(row, signal) {
+    const item = row.items[0];
+    const grokked = grokPML(item.pml, 'execution', item.focus);
+    const call = grokked?.queried || grokked;
+    const focus = call?.meta?.focusInfo || item.focus;
+    const sourceUrl = call?.meta?.source?.url;
+    // The function may have been defined in another file (ex: inlined from a
+    // header), in which case its lines aren't ours.
+    const path = searchfoxSourcePath();
+    if (!sourceUrl || !path || !sourceUrl.endsWith(path)) {
+      return;
+    }
+
+    let annoResults = await this.client.sendMessageAwaitingReply(
+      'simpleQuery',
+      {
+        name: 'dynamicAnnotations',
+        mixArgs: {
+          focus,
+          source: sourceUrl,
+        },
+      },
+      { signal, priority: 'bulk' });
+    if (signal.aborted) {
+      return;
+    }
+    // There should only be a single value in the array.
+    annoResults = annoResults[0];
+
+    // Points are [{ l: [line, column] }, kind, focus, titleIndex] where kind is
+    // "strong" or "weak".
+    for (const [pos, kind] of (annoResults?.glyphMarginDecoration?.points || [])) {
+      const eLine = lineNumberElem(pos.l[0]);
+      eLine?.classList.add(`${LINE_CLASS_PREFIX}${kind}`);
+    }
+  }
+
+  removeDecorations() {
+    for (const eBadge of document.querySelectorAll(`.${BADGE_CLASS}`)) {
+      eBadge.remove();
+    }
+    for (const kind of ['strong', 'weak']) {
+      const className = `${LINE_CLASS_PREFIX}${kind}`;
+      for (const eLine of document.querySelectorAll(`.${className}`)) {
+        eLine.classList.remove(className);
+      }
+    }
+  }
+
+  /**
+   * Stop any in-progress decoration and remove everything we added.
+   */
+  cleanup() {
+    this.abortController?.abort();
+    this.abortController = null;
+    this.removeDecorations();
+    document.getElementById(STYLE_ID)?.remove();
+  }
+}
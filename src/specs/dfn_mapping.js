@@ -0,0 +1,128 @@
+/**
+ * Map definitions ("dfn"s) in standards specs to the Gecko symbols that
+ * implement them so that we can show their executions in pernosco.
+ *
+ * Specs generated by bikeshed (and respec) give every definition an id, and
+ * every use of a definition is a link to `{spec url}#{dfn id}` with an id like
+ * "ref-for-{dfn id}{optional circled digits}".  IDL definitions are also
+ * annotated with `data-dfn-for` (the interface) and `data-dfn-type` (method,
+ * attribute, etc.), which lets us guess at the binding and implementation
+ * symbols by Gecko's naming conventions.  Concepts and algorithms have no such
+ * regularity, so we have a hand-maintained table for those.
+ */
+
+// Spec sites whose pages we offer the "Show executions of the implementation"
+// menu on.  These also need to be host permissions in the manifest so that we
+// can look at the clicked element.
+export const SPEC_URL_PATTERNS = [
+  "https://*.spec.whatwg.org/*",
+  "https://w3c.github.io/*",
+  "https://drafts.csswg.org/*",
+  "https://www.w3.org/TR/*",
+];
+
+/**
+ * Hand-maintained map from dfn URL to the Gecko symbols implementing the
+ * concept, in order of preference.
+ */
+const DFN_IMPLEMENTATIONS = new Map([
+  ["https://dom.spec.whatwg.org/#concept-event-dispatch",
+   ["mozilla::EventDispatcher::Dispatch"]],
+  ["https://dom.spec.whatwg.org/#concept-node-insert",
+   ["nsINode::InsertChildBefore"]],
+  ["https://dom.spec.whatwg.org/#concept-node-remove",
+   ["nsINode::RemoveChildNode"]],
+  ["https://fetch.spec.whatwg.org/#concept-fetch",
+   ["mozilla::dom::FetchDriver::Fetch"]],
+  ["https://html.spec.whatwg.org/multipage/webappapis.html#update-the-rendering",
+   ["nsRefreshDriver::Tick"]],
+  ["https://w3c.github.io/ServiceWorker/#handle-fetch",
+   ["mozilla::dom::ServiceWorkerPrivate::SendFetchEvent"]],
+]);
+
+// Interfaces whose implementation class isn't `mozilla::dom::{Interface}`, as
+// specified by "nativeType" in Bindings.conf.
+const IDL_NATIVE_TYPES = new Map([
+  ["Node", "nsINode"],
+  ["Window", "nsGlobalWindowInner"],
+  ["WindowProxy", "nsGlobalWindowOuter"],
+]);
+
+// Bikeshed disambiguates multiple uses of a dfn in the same section by adding
+// circled digits to the "ref-for-" ids.
+const REF_FOR_RE = /^ref-for-(.+?)[①-⓿]*$/;
+
+/**
+ * Given the id of a "ref-for-" link, return the id of the dfn it refers to,
+ * or null if it's not that kind of id.
+ */
+export function dfnIdFromRefId(id) {
+  return REF_FOR_RE.exec(id || '')?.[1] || null;
+}
+
+/**
+ * Normalize a dfn URL for lookup purposes.  Multipage specs are also available
+ * as a single page, but we only try to handle the multipage forms.
+ */
+function normalizeDfnUrl(dfnUrl) {
+  const url = new URL(dfnUrl);
+  url.search = '';
+  return url.href;
+}
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.substring(1);
+}
+
+/**
+ * Guess the symbols for an IDL member by Gecko's conventions: the generated
+ * binding lives in `mozilla::dom::{Interface}_Binding` and calls into the
+ * implementation class's (see `IDL_NATIVE_TYPES`) method of the same name with
+ * an initial capital.  Attribute getters sometimes get a "Get" prefix.
+ */
+function guessIdlSymbols({ dfnFor, dfnType, text }) {
+  if (!dfnFor) {
+    return [];
+  }
+  const iface = dfnFor.split('/')[0];
+  // Method dfn text looks like "appendChild(node)".
+  const member = text.replace(/\(.*$/s, '').trim();
+  if (!/^\w+$/.test(iface) || !/^\w+$/.test(member)) {
+    return [];
+  }
+  const native = IDL_NATIVE_TYPES.get(iface) || `mozilla::dom::${iface}`;
+  switch (dfnType) {
+    case 'constructor':
+      return [`${native}::Constructor`];
+    case 'method':
+      return [
+        `${native}::${capitalize(member)}`,
+        `mozilla::dom::${iface}_Binding::${member}`,
+      ];
+    case 'attribute':
+      return [
+        `${native}::${capitalize(member)}`,
+        `${native}::Get${capitalize(member)}`,
+        `mozilla::dom::${iface}_Binding::get_${member}`,
+      ];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Resolve what we know about a clicked dfn or dfn use to a list of candidate
+ * symbols, most likely first.  `target` is `{ dfnUrl, dfnFor, dfnType, text }`
+ * where everything but `dfnUrl` may be null.
+ */
+export function findImplementationSymbols(target) {
+  const symbols = [];
+  const mapped = DFN_IMPLEMENTATIONS.get(normalizeDfnUrl(target.dfnUrl));
+  if (mapped) {
+    symbols.push(...mapped);
+  }
+  if (target.text) {
+    symbols.push(...guessIdlSymbols(target));
+  }
+  return symbols;
+}
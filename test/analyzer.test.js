@@ -0,0 +1,192 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connectStandIn, moment, rangeQueryFromRows } from './helpers/stand_in.js';
+import { loadAnalyzer } from '../src/analyzer/analyzer.js';
+import { CallDiagram } from '../src/analyzer/call_diagram.js';
+import { IDBCacheHelper } from '../src/analyzer/idb_cache_helper.js';
+
+const CONFIG = `
+[trace."mozilla::dom::Thing::DoStuff"]
+capture.value.eval = "aValue"
+`;
+
+// A task tree with a single process and no threads, which is what
+// `Analyzer._getTaskTree` needs to get going.
+const TASK_TREE_ROWS = [{
+  items: [{
+    focus: { moment: moment(0) },
+    pml: {
+      t: 'treeItem',
+      c: [{
+        t: 'inline',
+        c: [{
+          t: 'task',
+          c: [{ t: 'process', a: { tuid: { serial: 1, tid: 100 } }, c: ['process 100'] }],
+        }],
+      }],
+    },
+  }],
+}];
+
+test('the analyzer runs against a stand-in server', async () => {
+  const { client, server } = await connectStandIn({
+    focus: { moment: moment(10) },
+    handlers: {
+      simpleQuery(payload) {
+        assert.equal(payload.name, 'task-tree');
+        return TASK_TREE_ROWS;
+      },
+      rangeQuery(payload, server) {
+        return rangeQueryFromRows([], payload, server.focus.moment);
+      },
+    },
+  });
+
+  const analyzer = await loadAnalyzer(['config.toml'], {
+    fetchText: async () => CONFIG,
+  });
+  const states = [];
+  await analyzer.analyze(client, state => states.push(state));
+
+  assert.deepEqual(states, ['Getting task tree', 'Tracing mozilla::dom::Thing::DoStuff']);
+  const traceRequest = server.requests.find(r => r.type === 'rangeQuery');
+  assert.equal(traceRequest.payload.mixArgs.params.symbol, 'mozilla::dom::Thing::DoStuff');
+  assert.equal(traceRequest.payload.mixArgs.params.print, 'aValue');
+  client.close();
+});
+
+test('call diagrams render to dot', () => {
+  const diagram = new CallDiagram({ symbol: 'ns::B::callee', direction: 'callers' });
+  diagram.addEdge('ns::A::caller', 'ns::B::callee');
+  diagram.addEdge('ns::A::caller', 'ns::B::callee');
+  diagram.addEdge('ns::C::other', 'ns::B::callee');
+
+  assert.deepEqual(
+    diagram.sortedEdges().map(({ from, count }) => [from, count]),
+    [['ns::A::caller', 2], ['ns::C::other', 1]]);
+  const dot = diagram.renderToDot();
+  assert.match(dot, /digraph/);
+  assert.match(dot, /caller/);
+});
+
+// An "execution" result row for a call to `funcName` at `event`.
+function executionRow(funcName, event, source = undefined) {
+  const focus = {
+    moment: moment(event),
+    tuid: { serial: 1, tid: 100 },
+    frame: {
+      addressSpaceUid: { task: { serial: 1, tid: 100 } },
+      entryMoment: moment(event),
+      returnMoment: moment(event + 1),
+    },
+  };
+  return {
+    items: [{
+      focus,
+      pml: {
+        t: 'block',
+        c: [{
+          t: 'inline',
+          a: { itemTypeName: 'function', focus, source },
+          c: [{ t: 'ident', c: [funcName] }, '(', ')', '=', { t: 'number', c: ['0'] }],
+        }],
+      },
+    }],
+  };
+}
+
+test('callee diagrams fail loudly if pernosco rejects the callees query', async () => {
+  const { client, server } = await connectStandIn({
+    handlers: {
+      simpleQuery(payload) {
+        throw new Error(`Unknown query: ${payload.name}`);
+      },
+      rangeQuery(payload, server) {
+        const rows = [3, 5, 7].map(event => executionRow('ns::B::callee', event));
+        return rangeQueryFromRows(rows, payload, server.focus.moment);
+      },
+    },
+  });
+
+  const diagram = new CallDiagram({ symbol: 'ns::B::callee', direction: 'callees' });
+  await assert.rejects(diagram.populate(client), /"callees" query/);
+  assert.equal(diagram.executionCount, 3);
+  // We gave up after the first execution.
+  assert.equal(server.requests.filter(r => r.type === 'simpleQuery').length, 1);
+  client.close();
+});
+
+test('caller diagrams note executions they failed to get results for', async () => {
+  const { client } = await connectStandIn({
+    handlers: {
+      simpleQuery(payload) {
+        throw new Error('No stack here');
+      },
+      rangeQuery(payload, server) {
+        const rows = [3, 5].map(event => executionRow('ns::B::callee', event));
+        return rangeQueryFromRows(rows, payload, server.focus.moment);
+      },
+    },
+  });
+
+  const diagram = new CallDiagram({ symbol: 'ns::B::callee', direction: 'callers' });
+  await diagram.populate(client);
+  assert.equal(diagram.sampledCount, 2);
+  assert.equal(diagram.failedCount, 2);
+  assert.match(diagram.lastError.message, /No stack here/);
+  client.close();
+});
+
+const LAST_LINE_CONFIG = `
+[class."ns::Thing"]
+lifecycle = true
+identityMethod = "ns::Thing::Init"
+`;
+
+test('last-line traces are served from the cache on later runs', async () => {
+  const { client, server } = await connectStandIn({
+    focus: { moment: moment(10) },
+    handlers: {
+      simpleQuery(payload) {
+        if (payload.name === 'dynamicAnnotations') {
+          return [{
+            glyphMarginDecoration: {
+              points: [[{ l: [12, 2] }, 'strong', null, 0], [{ l: [14, 4] }, 'weak', null, 0]],
+            },
+          }];
+        }
+        return TASK_TREE_ROWS;
+      },
+      rangeQuery(payload, server) {
+        const rows = payload.name === 'execution' ?
+          [3, 5].map(event => executionRow('ns::Thing::Init', event, { url: 'thing.cpp' })) :
+          [];
+        return rangeQueryFromRows(rows, payload, server.focus.moment);
+      },
+    },
+  }, {
+    cacheHelper: new IDBCacheHelper({
+      traceName: 'stand-in-trace',
+      dbName: 'test-analyzer-last-line',
+    }),
+  });
+
+  const analyze = async () => {
+    const analyzer = await loadAnalyzer(['config.toml'], {
+      fetchText: async () => LAST_LINE_CONFIG,
+    });
+    await analyzer.analyze(client, () => {});
+  };
+  await analyze();
+  const breakpointQuery = server.requests.find(
+    r => r.type === 'rangeQuery' && r.payload.name === 'breakpoint');
+  assert.deepEqual(breakpointQuery.payload.mixArgs.params.points, [{ l: 14, c: 4 }]);
+
+  const requestCount = server.requests.length;
+  await analyze();
+  assert.deepEqual(
+    server.requests.slice(requestCount).filter(r => r.type === 'rangeQuery'), []);
+  client.close();
+});
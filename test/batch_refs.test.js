@@ -0,0 +1,171 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connectStandIn, moment, rangeQueryFromRows, row } from './helpers/stand_in.js';
+import {
+  BATCH_REF_EXTRACTORS, findBatchRefs, resolveBatchRefs,
+} from '../src/bridge/batch_refs.js';
+import { IDBCacheHelper } from '../src/analyzer/idb_cache_helper.js';
+
+// An "evaluate" result for a pointer to 0x1000 with the pointer's value
+// nested inside the pretty-printed value the way pernosco does it.
+const EVALUATE_ROWS = [{
+  name: 'evaluate',
+  value: {
+    t: 'inline',
+    c: ['{', {
+      t: 'inline',
+      c: [{ t: 'ident', c: ['mPtr'] }, '=', {
+        t: 'number',
+        a: {
+          data: {
+            producer: { memory: { ranges: [{ start: 0x1000, end: 0x1008 }] } },
+          },
+        },
+        c: ['0x2000'],
+      }],
+    }, '}'],
+  },
+}];
+
+const ANNOTATION_ROWS = [{
+  glyphMarginDecoration: {
+    points: [
+      [{ l: [10, 2] }, 'strong', null, 0],
+      [{ l: [14, 4] }, 'weak', null, 0],
+      [{ l: [12, 0] }, 'strong', null, 0],
+    ],
+  },
+}];
+
+test('references are found and resolved with extractors and paths', () => {
+  const payload = {
+    name: 'watchpoint',
+    mixArgs: {
+      params: {
+        address: { $ref: 0, extractor: 'evaluatedPointer', path: ['address'] },
+        type: { $ref: 0, extractor: 'evaluatedPointer', path: ['type'] },
+        other: [{ $ref: 1 }],
+      },
+    },
+  };
+  assert.deepEqual(findBatchRefs(payload), new Set([0, 1]));
+  const resolved = resolveBatchRefs(payload, ref => (ref === 0 ? EVALUATE_ROWS : 'one'));
+  assert.deepEqual(resolved.mixArgs.params, {
+    address: '0x1000',
+    type: 'uint64_t',
+    other: ['one'],
+  });
+  // The original payload is untouched.
+  assert.equal(payload.mixArgs.params.other[0].$ref, 1);
+
+  assert.throws(() => resolveBatchRefs({ $ref: 0, extractor: 'bogus' }, () => []),
+                /Unknown batchQuery extractor/);
+});
+
+test('extractors reject results without what they need', () => {
+  assert.throws(() => BATCH_REF_EXTRACTORS.evaluatedPointer([{ value: { t: 'str', c: ['3'] } }]),
+                /not a pointer/);
+  assert.deepEqual(BATCH_REF_EXTRACTORS.lastAnnotatedLine(ANNOTATION_ROWS), { l: 14, c: 4 });
+  assert.throws(() => BATCH_REF_EXTRACTORS.lastAnnotatedLine([{}]), /no annotated lines/);
+});
+
+const EVALUATE_PAYLOAD = {
+  name: 'evaluate',
+  mixArgs: {
+    focus: { moment: moment(5) },
+    payload: { expression: 'mPtr', context: ['file.cpp', { l: 1, c: 1 }] },
+  },
+};
+
+const EVALUATE_AND_WATCH = [
+  { type: 'simpleQuery', payload: EVALUATE_PAYLOAD },
+  {
+    type: 'rangeQuery',
+    payload: {
+      name: 'watchpoint',
+      limit: 10,
+      mixArgs: {
+        params: {
+          address: { $ref: 0, extractor: 'evaluatedPointer', path: ['address'] },
+          type: { $ref: 0, extractor: 'evaluatedPointer', path: ['type'] },
+        },
+      },
+    },
+  },
+];
+
+let gNextDbId = 1;
+
+async function connectWithCache() {
+  const watchedAddresses = [];
+  const { client, server } = await connectStandIn({
+    focus: { moment: moment(5) },
+    handlers: {
+      simpleQuery: () => EVALUATE_ROWS,
+      rangeQuery(payload, server) {
+        watchedAddresses.push(payload.mixArgs.params.address);
+        return rangeQueryFromRows([row(1), row(7)], payload, server.focus.moment);
+      },
+    },
+  }, {
+    cacheHelper: new IDBCacheHelper({
+      traceName: 'stand-in-trace',
+      dbName: `test-batch-${gNextDbId++}`,
+    }),
+  });
+  return { client, server, watchedAddresses };
+}
+
+test('batch items are cached individually', async () => {
+  const { client, server, watchedAddresses } = await connectWithCache();
+
+  const [evalItem, watchItem] = await client.batchQuery(EVALUATE_AND_WATCH);
+  assert.deepEqual(evalItem.result, EVALUATE_ROWS);
+  assert.equal(watchItem.result.length, 2);
+  assert.equal(watchItem.extra.beforeCount, 1);
+  assert.deepEqual(watchedAddresses, ['0x1000']);
+  assert.equal(server.requests.length, 1);
+
+  // Everything is cached now, so there's nothing to send.
+  const [cachedEval, cachedWatch] = await client.batchQuery(EVALUATE_AND_WATCH);
+  assert.deepEqual(cachedEval.result, EVALUATE_ROWS);
+  assert.deepEqual(cachedWatch.result, watchItem.result);
+  assert.equal(cachedWatch.extra, undefined);
+  assert.equal(server.requests.length, 1);
+  client.close();
+});
+
+test('references to cached items are resolved before sending the misses', async () => {
+  const { client, server, watchedAddresses } = await connectWithCache();
+  await client.sendMessageAwaitingReply('simpleQuery', EVALUATE_PAYLOAD);
+
+  const [, watchItem] = await client.batchQuery(EVALUATE_AND_WATCH);
+  assert.equal(watchItem.result.length, 2);
+  const sent = server.requests.at(-1);
+  assert.equal(sent.type, 'batchQuery');
+  assert.equal(sent.payload.queries.length, 1);
+  assert.deepEqual(sent.payload.queries[0].payload.mixArgs.params,
+                   { address: '0x1000', type: 'uint64_t' });
+  assert.deepEqual(watchedAddresses, ['0x1000']);
+  client.close();
+});
+
+test('items referencing failed items fail without failing the batch', async () => {
+  const { client, server } = await connectStandIn({
+    handlers: {
+      simpleQuery: () => [{ value: { t: 'str', c: ['not a pointer'] } }],
+      rangeQuery: () => assert.fail('the watchpoint should not run'),
+    },
+  });
+  const [evalItem, watchItem, badItem] = await client.batchQuery([
+    ...EVALUATE_AND_WATCH,
+    { type: 'simpleQuery', payload: { name: 'stack', x: { $ref: 3 } } },
+  ]);
+  assert.ok(evalItem.result);
+  assert.match(watchItem.error.message, /not a pointer/);
+  assert.match(badItem.error.message, /can only reference earlier items/);
+  assert.equal(server.requests.length, 1);
+  client.close();
+});
@@ -0,0 +1,112 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { moment, rangeQueryFromRows, row, rowEvents } from './helpers/stand_in.js';
+import {
+  CACHE_ARCHIVE_FORMAT, checkCacheArchive, exportCacheArchive, importCacheArchive,
+  readCacheArchive,
+} from '../src/analyzer/cache_archive.js';
+import { IDBCacheHelper } from '../src/analyzer/idb_cache_helper.js';
+
+let gNextDbId = 1;
+
+// Every test gets its own scratch database.
+function makeCacheHelper(traceName = 'stand-in-trace') {
+  return new IDBCacheHelper({ traceName, dbName: `test-archive-${gNextDbId++}` });
+}
+
+function stackPayload(event) {
+  return { name: 'stack', mixArgs: { focus: { moment: moment(event) }, params: {} } };
+}
+
+const TRACE_ROWS = Array.from({ length: 20 }, (_, i) => row(2 * i + 1));
+
+function stdoutPayload(event) {
+  return { name: 'stdouterr', limit: 3, mixArgs: { focus: { moment: moment(event) }, params: {} } };
+}
+
+async function storeRangeAt(cacheHelper, event) {
+  const [rows, extra] = rangeQueryFromRows(TRACE_ROWS, { limit: 3 }, moment(event));
+  await cacheHelper.store(null, 'rangeQuery', stdoutPayload(event), rows, extra);
+}
+
+// Export the stack at event 1 as "theirs" and the stack at event 2 as both,
+// but with different results.
+async function makeConflictingArchive() {
+  const theirs = makeCacheHelper();
+  await theirs.store(null, 'simpleQuery', stackPayload(1), [{ frame: 'theirs 1' }], {});
+  await theirs.store(null, 'simpleQuery', stackPayload(2), [{ frame: 'theirs 2' }], {});
+  const archive = await exportCacheArchive(theirs, 'stand-in-trace');
+
+  const mine = makeCacheHelper();
+  await mine.store(null, 'simpleQuery', stackPayload(2), [{ frame: 'mine 2' }], {});
+  // JSON is what actually gets shared.
+  return { archive: JSON.parse(JSON.stringify(archive)), mine };
+}
+
+test('exported records can be imported into another cache', async () => {
+  const { archive, mine } = await makeConflictingArchive();
+  assert.equal(archive.format, CACHE_ARCHIVE_FORMAT);
+  assert.equal(archive.records.length, 2);
+
+  assert.deepEqual(await importCacheArchive(mine, archive, { conflict: 'skip' }),
+                   { added: 1, replaced: 0, merged: 0, skipped: 1 });
+  assert.deepEqual(await mine.lookup(null, 'simpleQuery', stackPayload(1)),
+                   [{ frame: 'theirs 1' }]);
+  assert.deepEqual(await mine.lookup(null, 'simpleQuery', stackPayload(2)),
+                   [{ frame: 'mine 2' }]);
+  assert.equal((await mine.listEntries()).length, 2);
+});
+
+test('conflicting records can be replaced', async () => {
+  const { archive, mine } = await makeConflictingArchive();
+  assert.deepEqual(await importCacheArchive(mine, archive, { conflict: 'replace' }),
+                   { added: 1, replaced: 1, merged: 0, skipped: 0 });
+  assert.deepEqual(await mine.lookup(null, 'simpleQuery', stackPayload(2)),
+                   [{ frame: 'theirs 2' }]);
+});
+
+test('merging imported range query results merges their coverage', async () => {
+  const theirs = makeCacheHelper();
+  await storeRangeAt(theirs, 17);
+  const archive = await exportCacheArchive(theirs, 'stand-in-trace');
+  const mine = makeCacheHelper();
+  await storeRangeAt(mine, 9);
+
+  assert.deepEqual(await importCacheArchive(mine, archive),
+                   { added: 0, replaced: 0, merged: 1, skipped: 0 });
+  const [entry] = await mine.listEntries();
+  assert.equal(entry.results.length, 1);
+  assert.equal(entry.results[0].intervalCount, 1);
+  assert.deepEqual(rowEvents(await mine.lookup(null, 'rangeQuery', stdoutPayload(13))),
+                   [9, 11, 13, 15, 17, 19]);
+});
+
+test('archives for other traces or in other formats are rejected', async () => {
+  const { archive, mine } = await makeConflictingArchive();
+  assert.throws(() => checkCacheArchive({ ...archive, format: 'something-else' }),
+                /Not a mozsearch-bridge cache export/);
+  assert.throws(() => checkCacheArchive({ ...archive, version: 99 }),
+                /Unsupported cache export version/);
+  // Records have to belong to the archive's trace.
+  await assert.rejects(
+    importCacheArchive(mine, { ...archive, traceName: 'other-trace' }),
+    /Malformed cache export record/);
+  await assert.rejects(importCacheArchive(mine, archive, { conflict: 'bogus' }),
+                       /Unknown import conflict mode/);
+  assert.deepEqual(await mine.lookup(null, 'simpleQuery', stackPayload(1)), null);
+});
+
+test('archives are read whether or not they are gzipped', async () => {
+  const { archive } = await makeConflictingArchive();
+  const jsonBlob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+  assert.deepEqual(await readCacheArchive(jsonBlob), archive);
+
+  const gzipped = jsonBlob.stream().pipeThrough(new CompressionStream('gzip'));
+  const gzipBlob = await new Response(gzipped).blob();
+  assert.deepEqual(await readCacheArchive(gzipBlob), archive);
+
+  await assert.rejects(readCacheArchive(new Blob(['{"format": "nope"}'])),
+                       /Not a mozsearch-bridge cache export/);
+});
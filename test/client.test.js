@@ -0,0 +1,50 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connectStandIn, moment, row, rowEvents } from './helpers/stand_in.js';
+import { IDBCacheHelper } from '../src/analyzer/idb_cache_helper.js';
+
+const STDOUT_PAYLOAD = {
+  name: 'stdouterr',
+  limit: 5,
+  mixArgs: { focus: { moment: moment(10) }, params: {} },
+};
+
+test('mutating streamed chunks does not corrupt the assembled or cached rows', async () => {
+  const { client, server } = await connectStandIn({
+    focus: { moment: moment(10) },
+    handlers: {
+      // "before" chunks are in descending order, moving away from the focus.
+      streamRangeQuery: () => [[
+        { direction: 'before', rows: [row(10), row(9), row(8)] },
+        { direction: 'before', rows: [row(7), row(6)] },
+        { direction: 'after', rows: [row(11), row(12)] },
+      ], { focusMoment: moment(10), beforeCount: 5, afterCount: 2, limit: 5 }],
+    },
+  }, {
+    cacheHelper: new IDBCacheHelper({
+      traceName: 'stand-in-trace',
+      dbName: 'test-client-stream',
+    }),
+  });
+
+  const streamed = [];
+  let finalRows;
+  for await (const { direction, rows } of client.streamRangeQuery(STDOUT_PAYLOAD)) {
+    if (direction) {
+      // Consumers are allowed to do what they like with the chunks.
+      streamed.push(rowEvents(rows));
+      rows.reverse();
+    } else {
+      finalRows = rows;
+    }
+  }
+  assert.deepEqual(streamed, [[10, 9, 8], [7, 6], [11, 12]]);
+  assert.deepEqual(rowEvents(finalRows), [6, 7, 8, 9, 10, 11, 12]);
+
+  const cached = await client.sendMessageAwaitingReply('rangeQuery', STDOUT_PAYLOAD);
+  assert.deepEqual(rowEvents(cached), [6, 7, 8, 9, 10, 11, 12]);
+  assert.equal(server.requests.length, 1);
+  client.close();
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dfnIdFromRefId, findImplementationSymbols } from '../src/specs/dfn_mapping.js';
+
+test('ref-for ids map back to their dfn ids', () => {
+  assert.equal(dfnIdFromRefId('ref-for-concept-event-dispatch'), 'concept-event-dispatch');
+  assert.equal(dfnIdFromRefId('ref-for-dom-node-appendchild①②'), 'dom-node-appendchild');
+  assert.equal(dfnIdFromRefId('concept-event-dispatch'), null);
+  assert.equal(dfnIdFromRefId(null), null);
+});
+
+test('mapped concepts and IDL members resolve to symbols', () => {
+  assert.deepEqual(findImplementationSymbols({
+    dfnUrl: 'https://dom.spec.whatwg.org/?x=1#concept-event-dispatch',
+  }), ['mozilla::EventDispatcher::Dispatch']);
+
+  assert.deepEqual(findImplementationSymbols({
+    dfnUrl: 'https://dom.spec.whatwg.org/#dom-node-appendchild',
+    dfnFor: 'Node',
+    dfnType: 'method',
+    text: 'appendChild(node)',
+  }), ['nsINode::AppendChild', 'mozilla::dom::Node_Binding::appendChild']);
+
+  assert.deepEqual(findImplementationSymbols({
+    dfnUrl: 'https://dom.spec.whatwg.org/#dom-event-type',
+    dfnFor: 'Event',
+    dfnType: 'attribute',
+    text: 'type',
+  }), [
+    'mozilla::dom::Event::Type',
+    'mozilla::dom::Event::GetType',
+    'mozilla::dom::Event_Binding::get_type',
+  ]);
+});
+
+test('IDL members without a name produce no symbols', () => {
+  for (const dfnType of ['method', 'attribute']) {
+    assert.deepEqual(findImplementationSymbols({
+      dfnUrl: 'https://dom.spec.whatwg.org/#dom-foo',
+      dfnFor: 'Foo',
+      dfnType,
+      text: '(arg)',
+    }), []);
+  }
+});
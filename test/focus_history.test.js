@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { moment } from './helpers/stand_in.js';
+import { FocusHistory } from '../src/bridge/focus_history.js';
+
+function labels(history) {
+  return history.entries.map(entry => entry.label);
+}
+
+test('the starting focus is recorded before the first jump', () => {
+  const history = new FocusHistory();
+  history.push({ moment: moment(20) }, 'jump', { fromFocus: { moment: moment(10) } });
+  assert.deepEqual(labels(history), ['Event 10', 'jump']);
+  assert.equal(history.back().focus.moment.event, 10);
+});
+
+test('the departure focus is only recorded if it is not the current entry', () => {
+  const history = new FocusHistory();
+  history.push({ moment: moment(20) }, 'first');
+  history.push({ moment: moment(30) }, 'second', { fromFocus: { moment: moment(20) } });
+  assert.deepEqual(labels(history), ['first', 'second']);
+
+  // The user moved around within pernosco before jumping again.
+  history.push({ moment: moment(50) }, 'third', { fromFocus: { moment: moment(40) } });
+  assert.deepEqual(labels(history), ['first', 'second', 'Event 40', 'third']);
+});
+
+test('jumping after going back discards the forward entries', () => {
+  const history = new FocusHistory();
+  history.push({ moment: moment(1) }, 'a');
+  history.push({ moment: moment(2) }, 'b', { fromFocus: { moment: moment(1) } });
+  history.back();
+  history.push({ moment: moment(3) }, 'c', { fromFocus: { moment: moment(1) } });
+  assert.deepEqual(labels(history), ['a', 'c']);
+  assert.equal(history.canGoForward, false);
+});
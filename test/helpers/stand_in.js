@@ -0,0 +1,178 @@
+/**
+ * Helpers for driving a `BridgeClient` against a stand-in for the pernosco
+ * tab's server over `createInMemoryTransportPair`, without a browser.
+ */
+
+import { BridgeClient } from '../../src/bridge/client.js';
+import { BridgeServer } from '../../src/bridge/server.js';
+import { resolveBatchRefs } from '../../src/bridge/batch_refs.js';
+import { serializeError } from '../../src/bridge/msg_handler.js';
+import { createInMemoryTransportPair } from '../../src/bridge/transports.js';
+import { cmpMoment } from '../../src/pmlgrok/utils.js';
+
+// Everything logs liberally to the console for debugging in the browser, which
+// just drowns out test output.  Warnings are mostly about failures that tests
+// provoke on purpose.
+console.log = () => {};
+console.warn = () => {};
+
+export function moment(event, instr = 0) {
+  return { event, instr };
+}
+
+/**
+ * A minimal "execution"-style result row at the given event.
+ */
+export function row(event, text = `row ${event}`) {
+  return {
+    items: [{
+      focus: { moment: moment(event) },
+      pml: { t: 'str', c: [text] },
+    }],
+  };
+}
+
+export function rowEvents(rows) {
+  return rows.map(r => r.items[0].focus.moment.event);
+}
+
+/**
+ * Answer a "rangeQuery" from the (ascending) `rows` making up the whole trace
+ * the same way `ContentScriptServer._runRangeQuery` does, including paging
+ * cursors.  Rows at the focus moment count as being before it.
+ */
+export function rangeQueryFromRows(rows, { limit = 50, paged, cursor }, focusMoment) {
+  const momentOf = r => r.items[0].focus.moment;
+  let beforeRows, afterRows;
+  if (cursor) {
+    beforeRows = cursor.before ?
+      rows.filter(r => cmpMoment(momentOf(r), cursor.before) < 0).slice(-limit) : [];
+    afterRows = cursor.after ?
+      rows.filter(r => cmpMoment(momentOf(r), cursor.after) > 0).slice(0, limit) : [];
+  } else {
+    beforeRows = rows.filter(r => cmpMoment(momentOf(r), focusMoment) <= 0).slice(-limit);
+    afterRows = rows.filter(r => cmpMoment(momentOf(r), focusMoment) > 0).slice(0, limit);
+  }
+  const extra = {
+    focusMoment,
+    beforeCount: beforeRows.length,
+    afterCount: afterRows.length,
+    limit,
+  };
+  if (paged) {
+    extra.cursor = {
+      before: beforeRows.length >= limit ? momentOf(beforeRows[0]) : null,
+      after: afterRows.length >= limit ? momentOf(afterRows[afterRows.length - 1]) : null,
+    };
+  }
+  return [[...beforeRows, ...afterRows], extra];
+}
+
+/**
+ * A server answering queries via the provided handlers:
+ * - simpleQuery(payload, server) returning the result.
+ * - rangeQuery(payload, server) returning `[result, extra]`.
+ * - streamRangeQuery(payload, server) returning `[chunks, extra]` where
+ *   `chunks` are the `{ direction, rows }` "queryData" partial replies to send
+ *   for a streamed rangeQuery.  Like rows trickling in from pernosco, each
+ *   partial reply and the final reply are sent on a later turn of the event
+ *   loop.  Without it, streamed queries get a normal reply.
+ * - batchQuery(payload, server) returning the result.  If there's no handler,
+ *   the items are run using the other handlers.
+ *
+ * `requests` records the `{ type, payload }` of every query we receive.
+ */
+export class StandInServer extends BridgeServer {
+  constructor({ focus = { moment: moment(0) }, capabilities, handlers = {} }, options) {
+    super({ roleType: 'stand-in' }, options);
+    this.focus = focus;
+    this.capabilities = capabilities || ['query', 'batchQuery', 'focus', 'statusReports'];
+    this.handlers = handlers;
+    this.requests = [];
+  }
+
+  generateStatusReportPayload() {
+    return { focus: this.focus };
+  }
+
+  async probeCapabilities() {
+    return { capabilities: this.capabilities, details: {} };
+  }
+
+  setFocus(focus) {
+    this.focus = focus;
+    this.sendMessage('statusReport', this.generateStatusReportPayload());
+  }
+
+  onMsg_cancel() {
+  }
+
+  onMsg_simpleQuery(payload, reply) {
+    this.requests.push({ type: 'simpleQuery', payload });
+    reply(this.handlers.simpleQuery(payload, this));
+  }
+
+  async onMsg_rangeQuery(payload, reply) {
+    this.requests.push({ type: 'rangeQuery', payload });
+    if (payload.stream && this.handlers.streamRangeQuery) {
+      const [chunks, extra] = this.handlers.streamRangeQuery(payload, this);
+      for (const chunk of chunks) {
+        reply.sendPartial('queryData', chunk);
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      reply(null, Object.assign({}, extra, { streamed: true }));
+      return;
+    }
+    const [result, extra] = this.handlers.rangeQuery(payload, this);
+    reply(result, extra);
+  }
+
+  onMsg_batchQuery(payload, reply) {
+    this.requests.push({ type: 'batchQuery', payload });
+    if (this.handlers.batchQuery) {
+      reply(this.handlers.batchQuery(payload, this));
+      return;
+    }
+    // Otherwise run the items in order like `ContentScriptServer` would.
+    const items = [];
+    for (const { type, payload: itemPayload } of payload.queries) {
+      try {
+        const resolved = resolveBatchRefs(itemPayload, (ref) => {
+          if (!items[ref] || items[ref].error) {
+            throw new Error('batchQuery item references a failed or later item');
+          }
+          return items[ref].result;
+        });
+        if (type === 'simpleQuery') {
+          items.push({ result: this.handlers.simpleQuery(resolved, this) });
+        } else {
+          const [result, extra] = this.handlers.rangeQuery(resolved, this);
+          items.push({ result, extra });
+        }
+      } catch (ex) {
+        items.push({ error: serializeError(ex) });
+      }
+    }
+    reply(items);
+  }
+}
+
+/**
+ * Create a `StandInServer` with the given options and a `BridgeClient`
+ * connected to it, resolving once the client has the server's hello.
+ * `clientOptions` are passed through to the client and default to not caching.
+ */
+export async function connectStandIn(serverOptions = {}, clientOptions = {}) {
+  const [clientTransport, serverTransport] = createInMemoryTransportPair();
+  const server = new StandInServer(serverOptions, { transport: serverTransport });
+  let gotHello;
+  const helloPromise = new Promise((resolve) => { gotHello = resolve; });
+  const client = new BridgeClient(Object.assign({
+    transport: clientTransport,
+    traceName: 'stand-in-trace',
+    cacheHelper: null,
+    onCompatibility: () => gotHello(),
+  }, clientOptions));
+  await helloPromise;
+  return { client, server };
+}
@@ -0,0 +1,248 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { openDB } from 'idb';
+
+import {
+  connectStandIn, moment, rangeQueryFromRows, row, rowEvents,
+} from './helpers/stand_in.js';
+import { IDBCacheHelper } from '../src/analyzer/idb_cache_helper.js';
+
+let gNextDbId = 1;
+
+// Every test gets its own scratch database.
+function makeCacheHelper(options = {}) {
+  return new IDBCacheHelper(Object.assign({
+    traceName: 'stand-in-trace',
+    dbName: `test-cache-${gNextDbId++}`,
+  }, options));
+}
+
+const STACK_PAYLOAD = { name: 'stack', mixArgs: { params: {} } };
+
+test('simple queries are served from the cache at the same focus', async () => {
+  const cacheHelper = makeCacheHelper();
+  let stackCount = 0;
+  const { client, server } = await connectStandIn({
+    focus: { moment: moment(10) },
+    handlers: {
+      simpleQuery: () => [{ name: `stack ${++stackCount}` }],
+    },
+  }, { cacheHelper });
+
+  assert.deepEqual(
+    await client.sendMessageAwaitingReply('simpleQuery', STACK_PAYLOAD),
+    [{ name: 'stack 1' }]);
+  assert.deepEqual(
+    await client.sendMessageAwaitingReply('simpleQuery', STACK_PAYLOAD),
+    [{ name: 'stack 1' }]);
+  assert.equal(server.requests.length, 1);
+
+  // The stack depends on the focus, so moving it means a new query.
+  server.setFocus({ moment: moment(20) });
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual(
+    await client.sendMessageAwaitingReply('simpleQuery', STACK_PAYLOAD),
+    [{ name: 'stack 2' }]);
+  assert.equal(server.requests.length, 2);
+  client.close();
+});
+
+test('uncacheable queries are not cached', async () => {
+  const cacheHelper = makeCacheHelper();
+  assert.equal(
+    await cacheHelper.lookup(null, 'simpleQuery', { name: 'unknown', mixArgs: { focus: { moment: moment(1) } } }),
+    undefined);
+  assert.equal(
+    await cacheHelper.store(null, 'simpleQuery', { name: 'unknown', mixArgs: { focus: { moment: moment(1) } } }, [], {}),
+    false);
+});
+
+function stackPayload(event) {
+  return { name: 'stack', mixArgs: { focus: { moment: moment(event) }, params: {} } };
+}
+
+function stackKey(event) {
+  return ['stand-in-trace', 'simpleQuery', 'stack', [event, 0]];
+}
+
+// Stores happening in the same millisecond would tie on `lastUsed`.
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 2));
+}
+
+test('eviction removes the least recently used records over budget', async () => {
+  const cacheHelper = makeCacheHelper({ maxTraceBytes: 2000 });
+  const bigResult = [{ text: 'x'.repeat(500) }];
+  for (let event = 1; event <= 5; event++) {
+    await cacheHelper.store(null, 'simpleQuery', stackPayload(event), bigResult, {});
+    await tick();
+  }
+  // Using the first record makes the second the least recently used.
+  assert.deepEqual(await cacheHelper.lookup(null, 'simpleQuery', stackPayload(1)), bigResult);
+
+  const { evictedCount } = await cacheHelper.evict();
+  assert.ok(evictedCount >= 1);
+  assert.equal(await cacheHelper.getEntry(stackKey(2)), undefined);
+  assert.ok(await cacheHelper.getEntry(stackKey(1)));
+  assert.ok(await cacheHelper.getEntry(stackKey(5)));
+  const entries = await cacheHelper.listEntries();
+  assert.ok(entries.reduce((sum, entry) => sum + entry.size, 0) <= 2000);
+});
+
+test('the per-trace budget applies to each trace separately', async () => {
+  const dbName = `test-cache-${gNextDbId++}`;
+  const mine = makeCacheHelper({ dbName, maxTraceBytes: 1000 });
+  const theirs = makeCacheHelper({ dbName, traceName: 'other-trace', maxTraceBytes: 1000 });
+  const bigResult = [{ text: 'x'.repeat(500) }];
+  await theirs.store(null, 'simpleQuery', stackPayload(1), bigResult, {});
+  await tick();
+  for (let event = 1; event <= 3; event++) {
+    await mine.store(null, 'simpleQuery', stackPayload(event), bigResult, {});
+    await tick();
+  }
+  await mine.evict();
+  const keys = (await mine.listEntries()).map(entry => entry.key);
+  // The other trace's record is the oldest but its trace is within budget.
+  assert.deepEqual(keys, [
+    ['other-trace', 'simpleQuery', 'stack', [1, 0]],
+    stackKey(3),
+  ]);
+});
+
+test('records from before sizes were tracked get sized when upgrading', async () => {
+  const dbName = `test-cache-${gNextDbId++}`;
+  // Create a version 1 database with a record lacking sizes.
+  const oldDb = await openDB(dbName, 1, {
+    upgrade(db) {
+      const cacheStore = db.createObjectStore('cache');
+      cacheStore.createIndex('lastUpdated', 'lastUpdated');
+      cacheStore.createIndex('lastUsed', 'lastUsed');
+    },
+  });
+  await oldDb.put('cache', {
+    lastUpdated: 1,
+    lastUsed: 1,
+    results: [{
+      type: 'simpleQuery', payload: stackPayload(1), result: [{ text: 'old' }], extra: {},
+      limitHit: false, hitCount: 0, missCount: 0, lastUsed: 1,
+    }],
+  }, stackKey(1));
+  oldDb.close();
+
+  const cacheHelper = new IDBCacheHelper({
+    traceName: 'stand-in-trace', dbName, maxTotalBytes: 1,
+  });
+  const record = await cacheHelper.getEntry(stackKey(1));
+  assert.ok(record.size > 0);
+  assert.equal(record.size, record.results[0].size);
+  // The upgrade also summarized it for listing.
+  const [entry] = await cacheHelper.listEntries();
+  assert.deepEqual(entry.key, stackKey(1));
+  assert.equal(entry.size, record.size);
+
+  // Now that it's sized, eviction knows about it.
+  assert.deepEqual(await cacheHelper.evict(), { evictedCount: 1, evictedBytes: record.size });
+  assert.equal(await cacheHelper.getEntry(stackKey(1)), undefined);
+});
+
+test('entry summaries track stores, lookups and deletions', async () => {
+  const cacheHelper = makeCacheHelper();
+  await cacheHelper.store(null, 'simpleQuery', stackPayload(1), [{ frame: 1 }], {});
+  await cacheHelper.store(null, 'simpleQuery', stackPayload(2), [{ frame: 2 }], {});
+  await cacheHelper.lookup(null, 'simpleQuery', stackPayload(1));
+  await cacheHelper.lookup(null, 'simpleQuery', stackPayload(1));
+
+  const entries = await cacheHelper.listEntries();
+  assert.deepEqual(entries.map(entry => entry.key), [stackKey(1), stackKey(2)]);
+  const [first] = entries;
+  assert.equal(first.results.length, 1);
+  assert.equal(first.results[0].hitCount, 2);
+  assert.equal(first.results[0].type, 'simpleQuery');
+  assert.equal(first.size, (await cacheHelper.getEntry(stackKey(1))).size);
+  // Summaries don't include the results themselves.
+  assert.equal(first.results[0].result, undefined);
+
+  await cacheHelper.deleteEntry(stackKey(1));
+  assert.deepEqual((await cacheHelper.listEntries()).map(entry => entry.key), [stackKey(2)]);
+  await cacheHelper.deleteTrace('stand-in-trace');
+  assert.deepEqual(await cacheHelper.listEntries(), []);
+});
+
+// 20 rows at events 1, 3, 5, ... 39 make up the whole trace.
+const TRACE_ROWS = Array.from({ length: 20 }, (_, i) => row(2 * i + 1));
+
+function stdoutPayload(event, limit = 3) {
+  return {
+    name: 'stdouterr',
+    limit,
+    mixArgs: { focus: event ? { moment: moment(event) } : undefined, params: {} },
+  };
+}
+
+// Store the result the server would give for a query focused at `event`.
+async function storeRangeAt(cacheHelper, event, limit = 3) {
+  const [rows, extra] = rangeQueryFromRows(TRACE_ROWS, { limit }, moment(event));
+  assert.ok(await cacheHelper.store(null, 'rangeQuery', stdoutPayload(event, limit), rows, extra));
+}
+
+async function lookupEventsAt(cacheHelper, event, limit = 3) {
+  const rows = await cacheHelper.lookup(null, 'rangeQuery', stdoutPayload(event, limit));
+  return rows && rowEvents(rows);
+}
+
+test('overlapping range query results are merged into one interval', async () => {
+  const cacheHelper = makeCacheHelper();
+  // Covers events 5 through 15, then 13 through 23.
+  await storeRangeAt(cacheHelper, 9);
+  await storeRangeAt(cacheHelper, 17);
+
+  const [entry] = await cacheHelper.listEntries();
+  assert.equal(entry.results.length, 1);
+  assert.equal(entry.results[0].intervalCount, 1);
+
+  // A focus in the middle of the merged interval is answered from it even
+  // though neither stored result was focused there.
+  assert.deepEqual(await lookupEventsAt(cacheHelper, 13), [9, 11, 13, 15, 17, 19]);
+  // Too close to the edge of what we know.
+  assert.equal(await lookupEventsAt(cacheHelper, 21), null);
+  assert.equal(await lookupEventsAt(cacheHelper, 31), null);
+
+  // The merged interval's size was worked out from the sizes of the pieces.
+  const { results: [result] } = await cacheHelper.getEntry(
+    ['stand-in-trace', 'rangeQuery', 'stdouterr', []]);
+  const [interval] = result.coverage;
+  assert.deepEqual(rowEvents(interval.rows), [5, 7, 9, 11, 13, 15, 17, 19, 21, 23]);
+  assert.equal(interval.size, JSON.stringify(interval.rows).length);
+  assert.ok(result.size > interval.size);
+});
+
+test('disjoint intervals stay separate until a result bridges them', async () => {
+  const cacheHelper = makeCacheHelper();
+  await storeRangeAt(cacheHelper, 7);
+  await storeRangeAt(cacheHelper, 31);
+  let [entry] = await cacheHelper.listEntries();
+  assert.equal(entry.results[0].intervalCount, 2);
+  assert.equal(entry.results[0].limitHit, true);
+
+  await storeRangeAt(cacheHelper, 19, 6);
+  [entry] = await cacheHelper.listEntries();
+  assert.equal(entry.results[0].intervalCount, 1);
+  assert.deepEqual(await lookupEventsAt(cacheHelper, 21), [17, 19, 21, 23, 25, 27]);
+});
+
+test('complete coverage answers queries without a focus moment', async () => {
+  const cacheHelper = makeCacheHelper();
+  assert.equal(await lookupEventsAt(cacheHelper, null), null);
+
+  await storeRangeAt(cacheHelper, 9, 10);
+  // We only know events 1 through 29 so far.
+  assert.equal(await lookupEventsAt(cacheHelper, null), null);
+
+  await storeRangeAt(cacheHelper, 31, 10);
+  const [entry] = await cacheHelper.listEntries();
+  assert.equal(entry.results[0].limitHit, false);
+  assert.deepEqual(await lookupEventsAt(cacheHelper, null), rowEvents(TRACE_ROWS));
+  assert.deepEqual(await lookupEventsAt(cacheHelper, 39, 3), [35, 37, 39]);
+});
@@ -0,0 +1,180 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connectStandIn, moment } from './helpers/stand_in.js';
+import { RequestScheduler } from '../src/bridge/scheduler.js';
+import { RequestCancelledError } from '../src/bridge/msg_handler.js';
+import { IDBCacheHelper } from '../src/analyzer/idb_cache_helper.js';
+
+/**
+ * A `run` function for `RequestScheduler.schedule` that records when it's
+ * started and only finishes when `resolve` or `reject` is called.
+ */
+function deferredRun(log, label) {
+  const run = (signal) => {
+    log.push(label);
+    run.signal = signal;
+    return new Promise((resolve, reject) => {
+      run.resolve = resolve;
+      run.reject = reject;
+    });
+  };
+  return run;
+}
+
+const DESCRIBE = { type: 'simpleQuery', name: 'stack' };
+
+test('requests beyond maxInFlight are queued, interactive ahead of bulk', async () => {
+  const log = [];
+  const queueStates = [];
+  const scheduler = new RequestScheduler({
+    maxInFlight: 1,
+    onQueueChange: state => queueStates.push(state),
+  });
+  const first = deferredRun(log, 'first');
+  const bulk = deferredRun(log, 'bulk');
+  const interactive = deferredRun(log, 'interactive');
+
+  const firstPromise = scheduler.schedule({ describe: DESCRIBE }, first);
+  const bulkPromise = scheduler.schedule({ priority: 'bulk', describe: DESCRIBE }, bulk);
+  const interactivePromise = scheduler.schedule({ describe: DESCRIBE }, interactive);
+  assert.deepEqual(log, ['first']);
+  assert.deepEqual(queueStates.at(-1), { queued: 2, inFlight: 1 });
+
+  first.resolve(1);
+  assert.equal(await firstPromise, 1);
+  assert.deepEqual(log, ['first', 'interactive']);
+  interactive.resolve(2);
+  assert.equal(await interactivePromise, 2);
+  bulk.resolve(3);
+  assert.equal(await bulkPromise, 3);
+  assert.deepEqual(log, ['first', 'interactive', 'bulk']);
+  assert.deepEqual(queueStates.at(-1), { queued: 0, inFlight: 0 });
+});
+
+test('requests with the same key share a single request and result', async () => {
+  const log = [];
+  const scheduler = new RequestScheduler();
+  const run = deferredRun(log, 'run');
+  const unused = deferredRun(log, 'unused');
+
+  const a = scheduler.schedule({ key: 'k', describe: DESCRIBE }, run);
+  const b = scheduler.schedule({ key: 'k', describe: DESCRIBE }, unused);
+  const result = { rows: [] };
+  run.resolve(result);
+  assert.equal(await a, result);
+  assert.equal(await b, result);
+  assert.deepEqual(log, ['run']);
+
+  // Once it's done, the same key is a new request.
+  const again = deferredRun(log, 'again');
+  const c = scheduler.schedule({ key: 'k', describe: DESCRIBE }, again);
+  again.resolve(null);
+  await c;
+  assert.deepEqual(log, ['run', 'again']);
+});
+
+test('a bulk request is promoted when merged with an interactive one', async () => {
+  const log = [];
+  const scheduler = new RequestScheduler({ maxInFlight: 1 });
+  const first = deferredRun(log, 'first');
+  const other = deferredRun(log, 'other bulk');
+  const promoted = deferredRun(log, 'promoted');
+
+  scheduler.schedule({ describe: DESCRIBE }, first);
+  scheduler.schedule({ priority: 'bulk', describe: DESCRIBE }, other);
+  scheduler.schedule({ key: 'k', priority: 'bulk', describe: DESCRIBE }, promoted);
+  const promise = scheduler.schedule({ key: 'k', describe: DESCRIBE }, promoted);
+
+  first.resolve();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual(log, ['first', 'promoted']);
+  promoted.resolve('done');
+  assert.equal(await promise, 'done');
+});
+
+test('merged callers abort independently', async () => {
+  const log = [];
+  const scheduler = new RequestScheduler();
+  const run = deferredRun(log, 'run');
+  const controllerA = new AbortController();
+  const controllerB = new AbortController();
+
+  const a = scheduler.schedule({ key: 'k', signal: controllerA.signal, describe: DESCRIBE }, run);
+  const b = scheduler.schedule({ key: 'k', signal: controllerB.signal, describe: DESCRIBE }, run);
+
+  controllerA.abort();
+  await assert.rejects(a, (ex) => {
+    assert.ok(ex instanceof RequestCancelledError);
+    assert.equal(ex.type, 'simpleQuery');
+    return true;
+  });
+  assert.equal(run.signal.aborted, false);
+
+  controllerB.abort();
+  await assert.rejects(b, RequestCancelledError);
+  assert.equal(run.signal.aborted, true);
+});
+
+test('aborting a queued request removes it from the queue', async () => {
+  const log = [];
+  const scheduler = new RequestScheduler({ maxInFlight: 1 });
+  const first = deferredRun(log, 'first');
+  const queued = deferredRun(log, 'queued');
+  const controller = new AbortController();
+
+  const firstPromise = scheduler.schedule({ describe: DESCRIBE }, first);
+  const queuedPromise = scheduler.schedule({ signal: controller.signal, describe: DESCRIBE }, queued);
+  controller.abort();
+  await assert.rejects(queuedPromise, RequestCancelledError);
+  assert.equal(scheduler.queuedCount, 0);
+
+  first.resolve();
+  await firstPromise;
+  assert.deepEqual(log, ['first']);
+});
+
+test('the client merges identical queries at the same focus', async () => {
+  let count = 0;
+  const { client, server } = await connectStandIn({
+    focus: { moment: moment(5) },
+    handlers: { simpleQuery: () => [{ count: ++count }] },
+  });
+  const payload = { name: 'stack', mixArgs: { params: {} } };
+  const [a, b] = await Promise.all([
+    client.sendMessageAwaitingReply('simpleQuery', payload),
+    client.sendMessageAwaitingReply('simpleQuery', payload),
+  ]);
+  assert.equal(a, b);
+  assert.equal(server.requests.length, 1);
+  client.close();
+});
+
+test('cache hits do not wait for a scheduler slot', async () => {
+  const { client, server } = await connectStandIn({
+    focus: { moment: moment(5) },
+    handlers: { simpleQuery: () => [{ frame: 'cached' }] },
+  }, {
+    maxInFlight: 1,
+    cacheHelper: new IDBCacheHelper({
+      traceName: 'stand-in-trace',
+      dbName: 'test-scheduler-cache',
+    }),
+  });
+  const payload = { name: 'stack', mixArgs: { params: {} } };
+  await client.sendMessageAwaitingReply('simpleQuery', payload);
+
+  // Occupy the only slot with a query that won't finish until we abort it.
+  const log = [];
+  const controller = new AbortController();
+  const blocker = client.scheduler.schedule(
+    { signal: controller.signal, describe: DESCRIBE }, deferredRun(log, 'blocker'));
+  assert.deepEqual(await client.sendMessageAwaitingReply('simpleQuery', payload),
+                   [{ frame: 'cached' }]);
+  assert.equal(server.requests.length, 1);
+
+  controller.abort();
+  await assert.rejects(blocker, RequestCancelledError);
+  client.close();
+});